@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+const { ERROR_CODES } = require("../validation");
+const { sendError } = require("../routes/errors");
+
+// Express middleware for the admin API. Requests must carry
+// "Authorization: Bearer <ADMIN_TOKEN>"; with no ADMIN_TOKEN set, every
+// request is turned away.
+function requireAdmin(token = process.env.ADMIN_TOKEN) {
+  const expected = token ? Buffer.from(token) : null;
+  return (req, res, next) => {
+    const [scheme, given] = (req.get("Authorization") || "").split(" ");
+    const actual = Buffer.from(given || "");
+    if (
+      !expected ||
+      scheme !== "Bearer" ||
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return sendError(
+        res,
+        401,
+        ERROR_CODES.UNAUTHORIZED,
+        expected ? "A valid admin token is required" : "The admin API is off"
+      );
+    }
+    next();
+  };
+}
+
+module.exports = { requireAdmin };
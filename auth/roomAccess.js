@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// No 0/O or 1/I, so codes survive being read out loud
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = 6;
+
+// A random room code that isTaken(code) says is free. With 32^6 codes to
+// pick from a retry is rare, but it means two rooms can never share one.
+function createRoomCode(isTaken) {
+  let code;
+  do {
+    code = Array.from(
+      { length: ROOM_CODE_LENGTH },
+      () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]
+    ).join("");
+  } while (isTaken(code));
+  return code;
+}
+
+// Room passwords are only ever kept as "salt:hash"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 32);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !stored) return false;
+  const [salt, expected] = stored.split(":");
+  const actual = await scrypt(password, salt, 32);
+  return crypto.timingSafeEqual(actual, Buffer.from(expected, "hex"));
+}
+
+// Invite tokens are opaque: all that matters is whether the room has it
+const createInviteToken = () => crypto.randomBytes(16).toString("base64url");
+
+module.exports = {
+  createInviteToken,
+  createRoomCode,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+// Tokens are signed with SESSION_SECRET. Without it a random secret is used,
+// which means sessions and profiles can only be used for as long as this
+// process lives.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+// How long a token works for after it's issued. A session token only has to
+// last as long as a room might; a profile token is kept by the client, so it
+// lasts longer, but a leaked one still stops working in the end.
+const SESSION_TOKEN_TTL_MS =
+  Number(process.env.SESSION_TOKEN_TTL_MS) || 24 * 60 * 60 * 1000;
+const PROFILE_TOKEN_TTL_MS =
+  Number(process.env.PROFILE_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(payload)
+    .digest("base64url");
+
+// Players are identified by this id for as long as they hold a seat,
+// whichever socket they happen to be connected on.
+const createPlayerId = () => crypto.randomUUID();
+
+// Signs data along with when it was issued (iat) and when it stops working
+// (exp), both in ms
+function issueToken(data, ttlMs, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ ...data, iat: now, exp: now + ttlMs })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+function createSessionToken({ roomCode, playerId }) {
+  return issueToken({ roomCode, playerId }, SESSION_TOKEN_TTL_MS);
+}
+
+// Returns the data a genuine token was signed with, or null for anything
+// that is missing, malformed, has been tampered with or has expired.
+// Tokens from before expiry was added have no exp and count as expired.
+function readToken(token, now = Date.now()) {
+  if (typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!Number.isFinite(data?.exp) || data.exp <= now) return null;
+  return data;
+}
+
+// Returns { roomCode, playerId } for a genuine, unexpired session token, or
+// null
+function verifySessionToken(token, now) {
+  const data = readToken(token, now);
+  if (!data) return null;
+  const { roomCode, playerId } = data;
+  return { roomCode, playerId };
+}
+
+// Profile tokens outlive any one room; they prove who owns a profile
+function createProfileToken(profileId) {
+  return issueToken({ kind: "profile", profileId }, PROFILE_TOKEN_TTL_MS);
+}
+
+// Returns the profile id for a genuine, unexpired profile token, or null
+function verifyProfileToken(token, now) {
+  const data = readToken(token, now);
+  return data?.kind === "profile" ? data.profileId : null;
+}
+
+module.exports = {
+  SESSION_TOKEN_TTL_MS,
+  PROFILE_TOKEN_TTL_MS,
+  createPlayerId,
+  createSessionToken,
+  verifySessionToken,
+  createProfileToken,
+  verifyProfileToken,
+};
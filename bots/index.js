@@ -0,0 +1,55 @@
+const { CARD_STRATEGIES, STRATEGIES } = require("./strategies");
+
+const BOT_DIFFICULTIES = Object.keys(STRATEGIES);
+
+// How long a bot "thinks" before picking, so humans get to see their cards
+const BOT_THINK_MS = 1500;
+
+const BOT_NAMES = [
+  "Red",
+  "Blue",
+  "Ethan",
+  "Lyra",
+  "Brendan",
+  "May",
+  "Lucas",
+  "Dawn",
+  "Hilbert",
+  "Hilda",
+  "Calem",
+  "Serena",
+];
+
+// First bot name nobody in the room is using yet
+function createBotName(isNameTaken) {
+  for (const name of BOT_NAMES) {
+    const botName = `${name} (Bot)`;
+    if (!isNameTaken(botName)) return botName;
+  }
+  for (let n = 2; ; n++) {
+    const botName = `Bot ${n}`;
+    if (!isNameTaken(botName)) return botName;
+  }
+}
+
+// stats is the list of stats the room allows
+function chooseBotStat(difficulty, card, stats) {
+  // A bot picking without a card of its own can only guess
+  if (!card) return STRATEGIES.easy(card, stats);
+  const strategy = STRATEGIES[difficulty] || STRATEGIES.normal;
+  return strategy(card, stats);
+}
+
+// Draft mode: the index of the card in hand the bot commits
+function chooseBotCard(difficulty, hand, stats) {
+  const strategy = CARD_STRATEGIES[difficulty] || CARD_STRATEGIES.normal;
+  return strategy(hand, stats);
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  BOT_THINK_MS,
+  chooseBotCard,
+  chooseBotStat,
+  createBotName,
+};
@@ -0,0 +1,87 @@
+const { STAT_KEYS, getStatValue } = require("../cards");
+const { toCard } = require("../cards/records");
+const dataset = require("../cards/data/pokemon.json");
+
+// Every stat's values across the whole card pool, sorted ascending, so a
+// card's standing in a stat is a binary search away.
+const poolValues = Object.fromEntries(
+  STAT_KEYS.map((stat) => [
+    stat,
+    dataset
+      .map((record) => getStatValue(toCard(record), stat))
+      .sort((a, b) => a - b),
+  ])
+);
+
+// Fraction of the pool this value beats, counting ties as half a win
+function percentile(stat, value) {
+  const values = poolValues[stat];
+  let below = 0;
+  let high = values.length;
+  while (below < high) {
+    const mid = (below + high) >> 1;
+    if (values[mid] < value) below = mid + 1;
+    else high = mid;
+  }
+  let atOrBelow = below;
+  while (atOrBelow < values.length && values[atOrBelow] === value) atOrBelow++;
+  return (below + (atOrBelow - below) / 2) / values.length;
+}
+
+// Stat strategies take the card and the stats in play in the room
+
+const random = (card, stats) => stats[Math.floor(Math.random() * stats.length)];
+
+// The card's highest raw number
+const best = (card, stats) =>
+  stats.reduce((top, stat) =>
+    getStatValue(card, stat) > getStatValue(card, top) ? stat : top
+  );
+
+// The stat most likely to beat an unseen card drawn from the pool. A raw 90
+// speed is a much better bet than a raw 100 hp, which "best" can't tell.
+const expectedValue = (card, stats) =>
+  stats.reduce((top, stat) =>
+    percentile(stat, getStatValue(card, stat)) >
+    percentile(stat, getStatValue(card, top))
+      ? stat
+      : top
+  );
+
+const STRATEGIES = {
+  easy: random,
+  normal: best,
+  hard: expectedValue,
+};
+
+// Draft mode: which card in the hand to commit. Each returns a hand index.
+const randomCard = (hand, stats) => Math.floor(Math.random() * hand.length);
+
+const indexOfMax = (hand, score) =>
+  hand.reduce(
+    (top, card, index) => (score(card) > score(hand[top]) ? index : top),
+    0
+  );
+
+// The card with the highest raw number in any stat
+const strongestCard = (hand, stats) =>
+  indexOfMax(hand, (card) => getStatValue(card, best(card, stats)));
+
+// The card with the best chance of winning whichever stat gets picked
+const mostReliableCard = (hand, stats) =>
+  indexOfMax(
+    hand,
+    (card) =>
+      stats.reduce(
+        (sum, stat) => sum + percentile(stat, getStatValue(card, stat)),
+        0
+      ) / stats.length
+  );
+
+const CARD_STRATEGIES = {
+  easy: randomCard,
+  normal: strongestCard,
+  hard: mostReliableCard,
+};
+
+module.exports = { CARD_STRATEGIES, STRATEGIES, percentile };
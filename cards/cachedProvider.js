@@ -0,0 +1,69 @@
+const fs = require("fs/promises");
+const path = require("path");
+const CardProvider = require("./provider");
+
+// Fetches from a remote provider once per Pokémon and keeps the records in a
+// JSON file on disk, so the cache survives restarts and warms up over time.
+// When the remote is unavailable, a cache miss falls back to another provider
+// (normally the bundled dataset) instead of stalling the round.
+class CachedCardProvider extends CardProvider {
+  constructor({ remote, fallback = null, cacheFile }) {
+    super("cache");
+    this.remote = remote;
+    this.fallback = fallback;
+    this.cacheFile = cacheFile;
+    this.records = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (this.records) return;
+    if (!this.loading) {
+      this.loading = fs
+        .readFile(this.cacheFile, "utf8")
+        .then((contents) => JSON.parse(contents))
+        .catch(() => [])
+        .then((records) => {
+          this.records = new Map(records.map((record) => [record.id, record]));
+        });
+    }
+    await this.loading;
+  }
+
+  save() {
+    // Chain writes so two misses landing together can't interleave.
+    this.saving = this.saving
+      .then(async () => {
+        const records = Array.from(this.records.values()).sort(
+          (a, b) => a.id - b.id
+        );
+        const tmpFile = `${this.cacheFile}.tmp`;
+        await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.writeFile(tmpFile, JSON.stringify(records));
+        await fs.rename(tmpFile, this.cacheFile);
+      })
+      .catch((err) => {
+        console.error("Failed to write card cache:", err.message);
+      });
+    return this.saving;
+  }
+
+  async getRecord(id) {
+    await this.load();
+    const cached = this.records.get(id);
+    if (cached) return cached;
+
+    try {
+      const record = await this.remote.getRecord(id);
+      this.records.set(id, record);
+      this.save();
+      return record;
+    } catch (err) {
+      if (!this.fallback) throw err;
+      return this.fallback.getRecord(id);
+    }
+  }
+}
+
+module.exports = CachedCardProvider;
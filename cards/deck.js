@@ -0,0 +1,68 @@
+// A game's cards, in the order its seeded generator (see rng.js) picks them.
+// Cards can be fetched before they're needed and held in a buffer, but
+// they're always dealt in that order, so the seed revealed at the end still
+// accounts for every card dealt.
+class Deck {
+  // fetchCard({ id, shiny }) resolves to the card itself (see provider.js)
+  constructor(rng, pool, shinyChance, fetchCard) {
+    this.rng = rng;
+    this.pool = pool;
+    this.shinyChance = shinyChance;
+    this.fetchCard = fetchCard;
+    this.buffer = []; // fetched but not dealt yet, as { card, nextDraw }
+    this.dealtDraws = rng.draws; // generator draws used up by dealt cards
+    this.prefetching = null;
+  }
+
+  // One draw from the generator picks the card and, when shinies are on, a
+  // second one out of 100 decides whether it's shiny
+  pick() {
+    const id = this.pool[this.rng.nextInt(this.pool.length)];
+    const shiny =
+      this.shinyChance > 0 && this.rng.nextInt(100) < this.shinyChance;
+    return { id, shiny, nextDraw: this.rng.draws };
+  }
+
+  // Picks count cards and fetches them all at once. If any fetch fails none
+  // of them are kept, and the generator is wound back so the same cards come
+  // up on the next try.
+  async draw(count) {
+    const fromDraw = this.rng.draws;
+    const picks = Array.from({ length: count }, () => this.pick());
+    try {
+      const cards = await Promise.all(
+        picks.map(({ id, shiny }) => this.fetchCard({ id, shiny }))
+      );
+      return cards.map((card, i) => ({ card, nextDraw: picks[i].nextDraw }));
+    } catch (err) {
+      this.rng.draws = fromDraw;
+      throw err;
+    }
+  }
+
+  // The next count cards, buffered ones first. All or nothing, like draw().
+  async deal(count) {
+    await this.prefetching;
+    const buffered = this.buffer.slice(0, count);
+    const drawn = await this.draw(count - buffered.length);
+    this.buffer.splice(0, buffered.length);
+
+    const dealt = [...buffered, ...drawn];
+    if (dealt.length > 0) this.dealtDraws = dealt[dealt.length - 1].nextDraw;
+    return dealt.map(({ card }) => card);
+  }
+
+  // Fetches cards in the background until count are waiting in the buffer.
+  // If that fails the buffer is left as it was and deal() fetches what's
+  // missing itself.
+  prefetch(count) {
+    const missing = count - this.buffer.length;
+    if (missing <= 0 || this.prefetching) return;
+    this.prefetching = this.draw(missing)
+      .then((cards) => this.buffer.push(...cards))
+      .catch(() => {})
+      .finally(() => (this.prefetching = null));
+  }
+}
+
+module.exports = Deck;
@@ -0,0 +1,65 @@
+const LocalCardProvider = require("./localProvider");
+const RemoteCardProvider = require("./remoteProvider");
+const CachedCardProvider = require("./cachedProvider");
+const Deck = require("./deck");
+const { DEFAULT_STATS, STATS, STAT_KEYS, getStatValue } = require("./stats");
+const {
+  GENERATION_COUNT,
+  POKEMON_TYPES,
+  buildCardPool,
+  minPoolSize,
+} = require("./pool");
+
+// National Dex ids 1-898 (Bulbasaur through Calyrex)
+const POKEMON_COUNT = 898;
+
+const numberFromEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const remoteOptionsFromEnv = () => ({
+  baseUrl: process.env.POKEAPI_BASE_URL || undefined,
+  timeout: numberFromEnv("POKEAPI_TIMEOUT_MS", 5000),
+  retries: numberFromEnv("POKEAPI_RETRIES", 2),
+});
+
+// Picks the card provider from CARD_PROVIDER:
+//   local  - bundled dataset, no network (default)
+//   remote - PokeAPI on every deal, with retries and timeouts
+//   cache  - PokeAPI once per Pokémon, cached on disk, local dataset fallback
+function createCardProvider(type = process.env.CARD_PROVIDER || "local") {
+  switch (type) {
+    case "local":
+      return new LocalCardProvider();
+    case "remote":
+      return new RemoteCardProvider(remoteOptionsFromEnv());
+    case "cache":
+      return new CachedCardProvider({
+        remote: new RemoteCardProvider(remoteOptionsFromEnv()),
+        fallback: new LocalCardProvider(),
+        cacheFile: process.env.CARD_CACHE_FILE || ".cache/pokemon.json",
+      });
+    default:
+      throw new Error(`Unknown card provider "${type}"`);
+  }
+}
+
+module.exports = {
+  DEFAULT_STATS,
+  STATS,
+  STAT_KEYS,
+  POKEMON_COUNT,
+  GENERATION_COUNT,
+  POKEMON_TYPES,
+  buildCardPool,
+  minPoolSize,
+  createCardProvider,
+  getStatValue,
+  LocalCardProvider,
+  RemoteCardProvider,
+  CachedCardProvider,
+  Deck,
+};
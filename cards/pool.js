@@ -0,0 +1,41 @@
+const dataset = require("./data/pokemon.json");
+const { TYPE_CHART } = require("./typeChart");
+
+const GENERATION_COUNT = 8;
+const POKEMON_TYPES = Object.keys(TYPE_CHART);
+
+// The Pokédex ids a room deals from, in ascending order. Filters that
+// aren't set let everything through; types keeps any Pokémon with at least
+// one of the listed types. Whichever provider serves the cards, the pool is
+// worked out from the bundled dataset.
+function buildCardPool({
+  minGeneration = 1,
+  maxGeneration = GENERATION_COUNT,
+  types = [],
+  includeLegendary = true,
+  includeMythical = true,
+}) {
+  return dataset
+    .filter(
+      (record) =>
+        record.generation >= minGeneration &&
+        record.generation <= maxGeneration &&
+        (types.length === 0 ||
+          record.types.some((type) => types.includes(type))) &&
+        (includeLegendary || !record.isLegendary) &&
+        (includeMythical || !record.isMythical)
+    )
+    .map((record) => record.id);
+}
+
+// The smallest pool that could still deal every player a different card: a
+// card each per round, or a whole hand each in draft mode
+const minPoolSize = ({ mode, handSize }, playerCount) =>
+  playerCount * (mode === "draft" ? handSize : 1);
+
+module.exports = {
+  GENERATION_COUNT,
+  POKEMON_TYPES,
+  buildCardPool,
+  minPoolSize,
+};
@@ -0,0 +1,20 @@
+const { toCard } = require("./records");
+
+// Base class for card providers. Subclasses only need to implement
+// getRecord(id); the card shape is built here so it never drifts.
+class CardProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async getRecord(id) {
+    throw new Error(`${this.constructor.name} does not implement getRecord`);
+  }
+
+  // options: { shiny } (see toCard in records.js)
+  async getCard(id, options) {
+    return toCard(await this.getRecord(id), options);
+  }
+}
+
+module.exports = CardProvider;
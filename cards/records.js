@@ -0,0 +1,64 @@
+const { buildStats } = require("./stats");
+
+// Every provider hands back the same "record" shape: a trimmed-down PokeAPI
+// /pokemon response. Cards are built from records, so the card the game sees
+// is identical whichever provider produced it. The bundled dataset's records
+// also carry generation, isLegendary and isMythical from /pokemon-species,
+// which is what card pools are filtered on (see pool.js).
+
+const SPRITE_BASE_URL =
+  "https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork";
+
+const spriteUrl = (id, shiny = false) =>
+  `${SPRITE_BASE_URL}/${shiny ? "shiny/" : ""}${id}.png`;
+
+function fromPokeApi(data) {
+  const stats = {};
+  for (const entry of data.stats) {
+    stats[entry.stat.name] = entry.base_stat;
+  }
+  return {
+    id: data.id,
+    name: data.name,
+    types: [...data.types]
+      .sort((a, b) => a.slot - b.slot)
+      .map((entry) => entry.type.name),
+    stats,
+    height: data.height,
+    weight: data.weight,
+  };
+}
+
+// "generation-iv" -> 4
+const ROMAN_NUMERALS = { i: 1, v: 5, x: 10 };
+const parseGeneration = (name) =>
+  [...name.replace("generation-", "")]
+    .map((numeral) => ROMAN_NUMERALS[numeral])
+    .reduce(
+      (total, value, i, values) =>
+        value < (values[i + 1] || 0) ? total - value : total + value,
+      0
+    );
+
+function fromPokeApiSpecies(data) {
+  return {
+    generation: parseGeneration(data.generation.name),
+    isLegendary: data.is_legendary,
+    isMythical: data.is_mythical,
+  };
+}
+
+function toCard(record, { shiny = false } = {}) {
+  return {
+    id: record.id,
+    name: record.name,
+    sprite: spriteUrl(record.id, shiny),
+    shiny,
+    hp: record.stats.hp, // also in stats; kept for clients that read it here
+    stats: buildStats(record),
+    type: record.types[0],
+    types: record.types,
+  };
+}
+
+module.exports = { fromPokeApi, fromPokeApiSpecies, toCard, spriteUrl };
@@ -0,0 +1,58 @@
+const axios = require("axios");
+const CardProvider = require("./provider");
+const { fromPokeApi, fromPokeApiSpecies } = require("./records");
+
+const DEFAULT_BASE_URL = "https://pokeapi.co/api/v2";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Timeouts, network errors, rate limiting and server errors are worth another
+// try. Anything else (e.g. a 404) will fail the same way again.
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+class RemoteCardProvider extends CardProvider {
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    timeout = 5000,
+    retries = 2,
+    retryDelay = 250,
+  } = {}) {
+    super("remote");
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+  }
+
+  async getRecord(id) {
+    return fromPokeApi(await this.fetch(`/pokemon/${id}`));
+  }
+
+  // generation, isLegendary and isMythical, which /pokemon doesn't have.
+  // Only the dataset build needs them; card pools come from the dataset.
+  async getSpeciesInfo(id) {
+    return fromPokeApiSpecies(await this.fetch(`/pokemon-species/${id}`));
+  }
+
+  async fetch(path) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          timeout: this.timeout,
+        });
+        return response.data;
+      } catch (err) {
+        if (attempt >= this.retries || !isRetryable(err)) {
+          throw err;
+        }
+        // Back off exponentially: 250ms, 500ms, 1s, ...
+        await sleep(this.retryDelay * 2 ** attempt);
+      }
+    }
+  }
+}
+
+module.exports = RemoteCardProvider;
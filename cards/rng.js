@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text);
+
+// A fresh, unguessable seed for a game
+const createSeed = () => crypto.randomBytes(16).toString("hex");
+
+// What's published when a game starts: enough to check the seed revealed at
+// the end is the one the cards were dealt from, but no help in guessing it
+const hashSeed = (seed) => sha256(seed).digest("hex");
+
+// Deterministic generator that every card of a game is dealt from. It's
+// simple on purpose, so anyone holding the revealed seed can re-derive the
+// deals: draw n (counting from 0) is the first four bytes of
+// SHA-256("<seed>:<n>") read as a big-endian unsigned integer, taken modulo
+// the number of choices.
+class SeededRng {
+  constructor(seed, draws = 0) {
+    this.seed = seed;
+    this.draws = draws; // how many numbers have been drawn so far
+  }
+
+  // A whole number from 0 up to, but not including, max
+  nextInt(max) {
+    const digest = sha256(`${this.seed}:${this.draws++}`).digest();
+    return digest.readUInt32BE(0) % max;
+  }
+}
+
+module.exports = { SeededRng, createSeed, hashSeed };
@@ -0,0 +1,47 @@
+// Every stat a picker could compare, in one place. Each entry says how to
+// read the stat off a record when a card is built; cards keep all of them
+// under card.stats, and rooms choose which ones are in play.
+const STATS = {
+  hp: { label: "HP", fromRecord: (record) => record.stats.hp },
+  attack: { label: "Attack", fromRecord: (record) => record.stats.attack },
+  defense: { label: "Defense", fromRecord: (record) => record.stats.defense },
+  specialAttack: {
+    label: "Sp. Atk",
+    fromRecord: (record) => record.stats["special-attack"],
+  },
+  specialDefense: {
+    label: "Sp. Def",
+    fromRecord: (record) => record.stats["special-defense"],
+  },
+  speed: { label: "Speed", fromRecord: (record) => record.stats.speed },
+  total: {
+    label: "Base Stat Total",
+    fromRecord: (record) =>
+      Object.values(record.stats).reduce((sum, value) => sum + value, 0),
+  },
+  // Fun categories, in PokeAPI's units
+  height: {
+    label: "Height",
+    unit: "dm",
+    fromRecord: (record) => record.height,
+  },
+  weight: {
+    label: "Weight",
+    unit: "hg",
+    fromRecord: (record) => record.weight,
+  },
+};
+
+const STAT_KEYS = Object.keys(STATS);
+
+// What a room plays with unless its creator picks otherwise
+const DEFAULT_STATS = ["hp", "attack", "defense", "speed"];
+
+const buildStats = (record) =>
+  Object.fromEntries(
+    STAT_KEYS.map((stat) => [stat, STATS[stat].fromRecord(record)])
+  );
+
+const getStatValue = (card, stat) => card.stats[stat];
+
+module.exports = { DEFAULT_STATS, STATS, STAT_KEYS, buildStats, getStatValue };
@@ -0,0 +1,143 @@
+const {
+  PROFANITY_FILTER_MODES,
+  containsProfanity,
+  maskProfanity,
+} = require("./profanity");
+
+// How many messages a room keeps to catch up whoever joins next
+const CHAT_HISTORY_LENGTH = 50;
+const CHAT_MESSAGE_MAX_LENGTH = 200;
+
+// Spam limits: each sender gets this many messages (emotes included) per
+// window, and can't send the same text twice within one
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10000;
+
+// Emote reactions and when they can be sent:
+//   any       - any time
+//   roundWon  - by a winner of the round just scored, until the next starts
+//   roundLost - by anyone else who played that round, until the next starts
+const EMOTES = {
+  hello: "any",
+  goodLuck: "any",
+  goodGame: "any",
+  thinking: "any",
+  superEffective: "roundWon",
+  easyWin: "roundWon",
+  notVeryEffective: "roundLost",
+  soClose: "roundLost",
+};
+const EMOTE_KEYS = Object.keys(EMOTES);
+
+// A room's chat channel: the recent history, who the Gym Leader has muted
+// and how the last round went, for the emotes that react to it
+class RoomChat {
+  constructor() {
+    this.messages = []; // oldest first
+    this.nextMessageId = 1;
+    this.muted = new Set();
+    this.roundOutcome = null; // { winners, players } until the next round
+    this.recentSends = new Map(); // sender id -> send times in the window
+  }
+
+  isMuted(id) {
+    return this.muted.has(id);
+  }
+
+  setMuted(id, muted) {
+    if (muted) {
+      this.muted.add(id);
+    } else {
+      this.muted.delete(id);
+    }
+  }
+
+  getMuted() {
+    return Array.from(this.muted);
+  }
+
+  // Counts a send against the sender's limit. False, and not counted, when
+  // they've already used up the current window.
+  allowSend(senderId, now = Date.now()) {
+    const sends = (this.recentSends.get(senderId) || []).filter(
+      (sentAt) => now - sentAt < CHAT_RATE_WINDOW_MS
+    );
+    const allowed = sends.length < CHAT_RATE_LIMIT;
+    if (allowed) sends.push(now);
+    this.recentSends.set(senderId, sends);
+    return allowed;
+  }
+
+  isRepeat(senderId, text, now = Date.now()) {
+    const last = this.messages.findLast(
+      (message) => message.senderId === senderId && message.text
+    );
+    return (
+      !!last && last.text === text && now - last.sentAt < CHAT_RATE_WINDOW_MS
+    );
+  }
+
+  // The text as the room's profanity filter lets it through, or null if it
+  // isn't let through at all
+  filterText(text, mode) {
+    if (mode === "off" || !containsProfanity(text)) return text;
+    return mode === "mask" ? maskProfanity(text) : null;
+  }
+
+  setRoundOutcome(winners, players) {
+    this.roundOutcome = { winners, players };
+  }
+
+  clearRoundOutcome() {
+    this.roundOutcome = null;
+  }
+
+  canSendEmote(senderId, emote) {
+    const when = EMOTES[emote];
+    if (when === "any") return true;
+    if (!this.roundOutcome?.players.includes(senderId)) return false;
+    return (
+      this.roundOutcome.winners.includes(senderId) === (when === "roundWon")
+    );
+  }
+
+  // Adds a message to the history and returns it as sent to the room
+  post(message) {
+    const posted = { id: this.nextMessageId++, ...message, sentAt: Date.now() };
+    this.messages.push(posted);
+    if (this.messages.length > CHAT_HISTORY_LENGTH) this.messages.shift();
+    return posted;
+  }
+
+  getHistory() {
+    return [...this.messages];
+  }
+
+  // Send times aren't kept; everyone's limit starts over after a restart
+  toSnapshot() {
+    return {
+      messages: this.messages,
+      nextMessageId: this.nextMessageId,
+      muted: Array.from(this.muted),
+      roundOutcome: this.roundOutcome,
+    };
+  }
+
+  // Rooms saved before chat existed come back with an empty one
+  static fromSnapshot(snapshot) {
+    const chat = new RoomChat();
+    if (!snapshot) return chat;
+    chat.messages = snapshot.messages;
+    chat.nextMessageId = snapshot.nextMessageId;
+    chat.muted = new Set(snapshot.muted);
+    chat.roundOutcome = snapshot.roundOutcome;
+    return chat;
+  }
+}
+
+module.exports = {
+  RoomChat,
+  CHAT_MESSAGE_MAX_LENGTH,
+  EMOTE_KEYS,
+  PROFANITY_FILTER_MODES,
+};
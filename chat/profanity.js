@@ -0,0 +1,57 @@
+// Words the filter catches out of the box. CHAT_BLOCKED_WORDS (comma
+// separated) adds more for the whole server.
+const DEFAULT_BLOCKED_WORDS = [
+  "arse",
+  "arsehole",
+  "ass",
+  "asshole",
+  "bastard",
+  "bitch",
+  "bollocks",
+  "crap",
+  "damn",
+  "dick",
+  "fuck",
+  "motherfucker",
+  "piss",
+  "prick",
+  "shit",
+  "slut",
+  "twat",
+  "wanker",
+  "whore",
+];
+
+// What a room's filter does with a message that trips it:
+//   off   - nothing
+//   mask  - sends it with the words starred out
+//   block - refuses to send it
+const PROFANITY_FILTER_MODES = ["off", "mask", "block"];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const blockedWords = [
+  ...DEFAULT_BLOCKED_WORDS,
+  ...(process.env.CHAT_BLOCKED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+// Whole words only, so "class" and "Scrafty" get through, but with the
+// common endings so "bitches" doesn't
+const blockedPattern = new RegExp(
+  `\\b(?:${blockedWords.map(escapeRegExp).join("|")})(?:s|es|ed|er|ers|ing|y)?\\b`,
+  "gi"
+);
+
+const containsProfanity = (text) => text.search(blockedPattern) !== -1;
+
+const maskProfanity = (text) =>
+  text.replace(blockedPattern, (word) => "*".repeat(word.length));
+
+module.exports = {
+  PROFANITY_FILTER_MODES,
+  containsProfanity,
+  maskProfanity,
+};
@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+
+// How many finished games each room keeps when there's no room store
+const IN_MEMORY_MATCHES_PER_ROOM = 20;
+
+// Sortable by creation time, so newer matches list after older ones
+const createMatchId = () =>
+  `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
+
+const isMatchId = (value) => /^[a-z0-9]+-[0-9a-f]{8}$/.test(value);
+
+// Finished games. A match is the event log a GameRoom kept while the game
+// was played (see GameRoom#beginMatchLog in server.js) plus its room code.
+// They're kept in the room store so they outlive restarts; without one the
+// most recent few per room are kept in memory.
+class MatchHistory {
+  constructor(store) {
+    this.store = store;
+    this.recent = new Map(); // roomCode -> matches, newest first
+  }
+
+  async record(match) {
+    if (this.store) return this.store.saveMatch(match);
+    const matches = this.recent.get(match.roomCode) || [];
+    matches.unshift(match);
+    matches.length = Math.min(matches.length, IN_MEMORY_MATCHES_PER_ROOM);
+    this.recent.set(match.roomCode, matches);
+  }
+
+  // The room's most recent matches, newest first
+  async list(roomCode, limit) {
+    if (this.store) return this.store.listMatches(roomCode, limit);
+    return (this.recent.get(roomCode) || []).slice(0, limit);
+  }
+
+  async get(roomCode, matchId) {
+    if (this.store) return this.store.getMatch(roomCode, matchId);
+    return (
+      (this.recent.get(roomCode) || []).find((match) => match.id === matchId) ||
+      null
+    );
+  }
+}
+
+// What the match list shows; the full event log is fetched per match
+const summarizeMatch = (match) => ({
+  id: match.id,
+  roomCode: match.roomCode,
+  startedAt: match.startedAt,
+  endedAt: match.endedAt,
+  players: match.players,
+  winners: match.winners,
+  rounds: match.events.filter((event) => event.type === "roundEvaluated")
+    .length,
+});
+
+// How often each player picked each stat themselves during the match, as
+// { [playerId]: { [stat]: count } }. Stats the server picked for a player
+// who ran out of time don't count.
+function countStatPicks(match) {
+  const picks = {};
+  let autoSelected = false;
+  for (const event of match.events) {
+    if (event.type === "statAutoSelected") {
+      autoSelected = true;
+    } else if (event.type === "roundEvaluated") {
+      if (!autoSelected) {
+        const playerPicks = picks[event.picker] || {};
+        playerPicks[event.stat] = (playerPicks[event.stat] || 0) + 1;
+        picks[event.picker] = playerPicks;
+      }
+      autoSelected = false;
+    }
+  }
+  return picks;
+}
+
+module.exports = {
+  MatchHistory,
+  countStatPicks,
+  createMatchId,
+  isMatchId,
+  summarizeMatch,
+};
@@ -0,0 +1,98 @@
+// Upper bounds (in seconds) of the card provider latency histogram buckets
+const CARD_LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+];
+
+// Rounds per minute is worked out over this trailing window
+const ROUND_RATE_WINDOW_MS = 60000;
+
+// Counters and timings for GET /metrics. Room and socket counts aren't kept
+// here; they're read off the server whenever the metrics are rendered.
+class ServerMetrics {
+  constructor() {
+    this.roundsTotal = 0;
+    this.recentRounds = []; // completion times within the rate window
+    this.cardFetches = {
+      buckets: CARD_LATENCY_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.cardErrors = 0;
+  }
+
+  recordRound(now = Date.now()) {
+    this.roundsTotal += 1;
+    this.recentRounds.push(now);
+    this.pruneRounds(now);
+  }
+
+  pruneRounds(now) {
+    const cutoff = now - ROUND_RATE_WINDOW_MS;
+    while (this.recentRounds.length > 0 && this.recentRounds[0] <= cutoff) {
+      this.recentRounds.shift();
+    }
+  }
+
+  roundsPerMinute(now = Date.now()) {
+    this.pruneRounds(now);
+    return (this.recentRounds.length * 60000) / ROUND_RATE_WINDOW_MS;
+  }
+
+  // Runs fetchCard() and records how long it took, or that it failed
+  async timeCardFetch(fetchCard) {
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await fetchCard();
+    } catch (err) {
+      this.cardErrors += 1;
+      throw err;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observeCardLatency(seconds);
+    }
+  }
+
+  observeCardLatency(seconds) {
+    const { buckets } = this.cardFetches;
+    CARD_LATENCY_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) buckets[i] += 1;
+    });
+    this.cardFetches.sum += seconds;
+    this.cardFetches.count += 1;
+  }
+
+  // The Prometheus text exposition format
+  render({ activeRooms, connectedSockets, cardProvider }) {
+    const provider = `provider="${cardProvider}"`;
+    const { buckets, sum, count } = this.cardFetches;
+    return [
+      "# HELP pokemon_active_rooms Rooms currently open.",
+      "# TYPE pokemon_active_rooms gauge",
+      `pokemon_active_rooms ${activeRooms}`,
+      "# HELP pokemon_connected_sockets Sockets currently connected.",
+      "# TYPE pokemon_connected_sockets gauge",
+      `pokemon_connected_sockets ${connectedSockets}`,
+      "# HELP pokemon_rounds_total Rounds played to completion.",
+      "# TYPE pokemon_rounds_total counter",
+      `pokemon_rounds_total ${this.roundsTotal}`,
+      "# HELP pokemon_rounds_per_minute Rounds completed over the last minute.",
+      "# TYPE pokemon_rounds_per_minute gauge",
+      `pokemon_rounds_per_minute ${this.roundsPerMinute()}`,
+      "# HELP pokemon_card_provider_latency_seconds Time taken to fetch a card.",
+      "# TYPE pokemon_card_provider_latency_seconds histogram",
+      ...CARD_LATENCY_BUCKETS.map(
+        (bound, i) =>
+          `pokemon_card_provider_latency_seconds_bucket{${provider},le="${bound}"} ${buckets[i]}`
+      ),
+      `pokemon_card_provider_latency_seconds_bucket{${provider},le="+Inf"} ${count}`,
+      `pokemon_card_provider_latency_seconds_sum{${provider}} ${sum}`,
+      `pokemon_card_provider_latency_seconds_count{${provider}} ${count}`,
+      "# HELP pokemon_card_provider_errors_total Card fetches that failed.",
+      "# TYPE pokemon_card_provider_errors_total counter",
+      `pokemon_card_provider_errors_total{${provider}} ${this.cardErrors}`,
+      "",
+    ].join("\n");
+  }
+}
+
+module.exports = { ServerMetrics, CARD_LATENCY_BUCKETS };
@@ -0,0 +1,39 @@
+// The phases a GameRoom goes through:
+//   lobby        - players gather and the Gym Leader sets the game up
+//   ready-check  - waiting on everyone to say they're ready (rooms with the
+//                  readyCheck setting only)
+//   dealing      - the next round's cards are being fetched
+//   picking      - the round is live: cards get committed (draft mode) and
+//                  the picker chooses a stat
+//   reveal       - the round has just been scored and shown to everyone
+//   intermission - waiting for the next round to be dealt
+//   ended        - someone has won; the room is back in its lobby once all
+//                  the players have returned from the results
+const PHASES = [
+  "lobby",
+  "ready-check",
+  "dealing",
+  "picking",
+  "reveal",
+  "intermission",
+  "ended",
+];
+
+// Where each phase can go next. A deal that fails goes back to the phase it
+// started from, except that a ready check goes back to the lobby.
+const PHASE_TRANSITIONS = {
+  lobby: ["ready-check", "dealing"],
+  "ready-check": ["lobby", "dealing"],
+  dealing: ["picking", "lobby", "intermission"],
+  picking: ["reveal"],
+  reveal: ["intermission", "ended"],
+  intermission: ["dealing"],
+  ended: ["lobby"],
+};
+
+// While a game is being played
+const GAME_PHASES = ["dealing", "picking", "reveal", "intermission"];
+
+const canTransition = (from, to) => PHASE_TRANSITIONS[from].includes(to);
+
+module.exports = { PHASES, GAME_PHASES, canTransition };
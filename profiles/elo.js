@@ -0,0 +1,74 @@
+// Elo for games with any number of players: every pair of rated players is
+// scored as a head-to-head on their placements, and the K factor is split
+// across a player's opponents so a game is worth the same however many
+// people played it. Teammates aren't each other's opponents, so they're
+// never scored against each other.
+const K_FACTOR = 32;
+const INITIAL_RATING = 1000;
+
+const expectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const areTeammates = (a, b) => a.team != null && a.team === b.team;
+
+// entries: [{ id, rating, placement, team }], where a lower placement is
+// better and equal placements are a draw; team is null outside team games.
+// Returns { [id]: ratingChange }.
+function ratingChanges(entries) {
+  const changes = {};
+  for (const entry of entries) {
+    const opponents = entries.filter(
+      (opponent) => opponent !== entry && !areTeammates(entry, opponent)
+    );
+    let total = 0;
+    for (const opponent of opponents) {
+      const actual =
+        entry.placement < opponent.placement
+          ? 1
+          : entry.placement === opponent.placement
+            ? 0.5
+            : 0;
+      total += actual - expectedScore(entry.rating, opponent.rating);
+    }
+    changes[entry.id] =
+      opponents.length > 0
+        ? Math.round((K_FACTOR / opponents.length) * total)
+        : 0;
+  }
+  return changes;
+}
+
+// Where everyone finished. Winners place in the order they reached
+// roundsToWin (there can be up to maxWinners of them), except that a
+// winning team won together and shares first place; everyone else comes
+// after, ranked by score, sharing a placement when their scores tie. Players
+// who walked out before the end (forfeited) share last place whatever their
+// score, so leaving a game you're losing doesn't dodge the loss.
+// players: [{ id, score, forfeited, team }]. Returns { [id]: placement }, 1
+// being first.
+function placementsFor(winners, players) {
+  const byId = new Map(players.map((player) => [player.id, player]));
+  const placements = {};
+  winners.forEach((id, index) => {
+    const teammate = winners
+      .slice(0, index)
+      .find((earlierId) => areTeammates(byId.get(id), byId.get(earlierId)));
+    placements[id] = teammate ? placements[teammate] : index + 1;
+  });
+
+  // Scores are never negative, so -1 sorts forfeits below everyone
+  const standing = (player) => (player.forfeited ? -1 : player.score);
+  const rest = players
+    .filter((player) => !winners.includes(player.id))
+    .sort((a, b) => standing(b) - standing(a));
+  let placement = winners.length;
+  rest.forEach((player, index) => {
+    if (index === 0 || standing(player) !== standing(rest[index - 1])) {
+      placement = winners.length + index + 1;
+    }
+    placements[player.id] = placement;
+  });
+  return placements;
+}
+
+module.exports = { INITIAL_RATING, K_FACTOR, placementsFor, ratingChanges };
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const { INITIAL_RATING, placementsFor, ratingChanges } = require("./elo");
+
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// The stat a player has picked most often, or null before their first pick
+const favouriteStat = (profile) =>
+  Object.entries(profile.statPicks).reduce(
+    (top, [stat, count]) =>
+      !top || count > profile.statPicks[top] ? stat : top,
+    null
+  );
+
+// What anyone may see of a profile
+const publicProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  rating: profile.rating,
+  gamesPlayed: profile.gamesPlayed,
+  wins: profile.wins,
+  losses: profile.losses,
+  favouriteStat: favouriteStat(profile),
+});
+
+// Opt-in player profiles that outlive rooms, with a win/loss record and an
+// Elo rating. All profiles are held in memory; the room store, when there
+// is one, keeps them across restarts.
+class ProfileRegistry {
+  constructor(store) {
+    this.store = store;
+    this.profiles = new Map();
+  }
+
+  async load() {
+    if (!this.store) return;
+    for (const profile of await this.store.loadProfiles()) {
+      this.profiles.set(profile.id, profile);
+    }
+  }
+
+  save(profile) {
+    if (!this.store) return;
+    this.store.saveProfile(profile).catch((err) => {
+      console.error(`Failed to save profile ${profile.id}:`, err.message);
+    });
+  }
+
+  create(name) {
+    const now = Date.now();
+    const profile = {
+      id: crypto.randomUUID(),
+      name,
+      rating: INITIAL_RATING,
+      gamesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      statPicks: {}, // stat -> times this player picked it themselves
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.profiles.set(profile.id, profile);
+    this.save(profile);
+    return profile;
+  }
+
+  get(profileId) {
+    return this.profiles.get(profileId) || null;
+  }
+
+  // Everyone who has finished a game, best rating first
+  leaderboard(limit) {
+    return Array.from(this.profiles.values())
+      .filter((profile) => profile.gamesPlayed > 0)
+      .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+      .slice(0, limit)
+      .map((profile, index) => ({
+        rank: index + 1,
+        ...publicProfile(profile),
+      }));
+  }
+
+  // Updates every profile that played a finished game. players are the
+  // room's players at the end plus anyone who left it early (forfeited),
+  // [{ id, profileId, score, statPicks, forfeited, team }], bots and guests
+  // included: they take up placements but only profiles are rated. Returns
+  // each profile's rating change, keyed by player id.
+  recordGame(winners, players) {
+    const placements = placementsFor(winners, players);
+    const rated = players.filter((player) =>
+      this.profiles.has(player.profileId)
+    );
+    const changes = ratingChanges(
+      rated.map((player) => ({
+        id: player.id,
+        rating: this.profiles.get(player.profileId).rating,
+        placement: placements[player.id],
+        team: player.team ?? null,
+      }))
+    );
+
+    const results = {};
+    for (const player of rated) {
+      const profile = this.profiles.get(player.profileId);
+      const previousRating = profile.rating;
+      profile.rating += changes[player.id];
+      profile.gamesPlayed++;
+      if (winners.includes(player.id)) {
+        profile.wins++;
+      } else {
+        profile.losses++;
+      }
+      for (const [stat, count] of Object.entries(player.statPicks)) {
+        profile.statPicks[stat] = (profile.statPicks[stat] || 0) + count;
+      }
+      profile.updatedAt = Date.now();
+      this.save(profile);
+
+      results[player.id] = {
+        profileId: profile.id,
+        placement: placements[player.id],
+        previousRating,
+        rating: profile.rating,
+        change: changes[player.id],
+      };
+    }
+    return results;
+  }
+}
+
+module.exports = { LEADERBOARD_MAX_LIMIT, ProfileRegistry, publicProfile };
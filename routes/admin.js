@@ -0,0 +1,60 @@
+const express = require("express");
+const { ERROR_CODES } = require("../validation");
+const { requireAdmin } = require("../auth/admin");
+const { sendError } = require("./errors");
+
+// Room management for operators. Every route needs the admin token (see
+// auth/admin.js):
+//   GET    /admin/rooms                             - every room, with its
+//                                                     phase and players
+//   GET    /admin/rooms/:roomCode                   - one room's full state
+//   DELETE /admin/rooms/:roomCode                   - close the room
+//   DELETE /admin/rooms/:roomCode/players/:playerId - kick a player or
+//                                                     spectator
+function createAdminRoutes({ getRoom, listRooms, closeRoom, kickPlayer }) {
+  const router = express.Router();
+
+  router.use("/admin", requireAdmin());
+
+  router.param("roomCode", (req, res, next, roomCode) => {
+    req.roomCode = roomCode.toUpperCase();
+    req.gameRoom = getRoom(req.roomCode);
+    if (!req.gameRoom) {
+      return sendError(res, 404, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+    next();
+  });
+
+  router.get("/admin/rooms", (req, res) => {
+    res.json({ rooms: listRooms() });
+  });
+
+  router.get("/admin/rooms/:roomCode", (req, res) => {
+    res.json({
+      room: { roomCode: req.roomCode, ...req.gameRoom.toAdminView() },
+    });
+  });
+
+  router.delete("/admin/rooms/:roomCode", (req, res) => {
+    closeRoom(req.roomCode, req.gameRoom, "closedByAdmin");
+    res.status(204).end();
+  });
+
+  router.delete("/admin/rooms/:roomCode/players/:playerId", (req, res) => {
+    const { playerId } = req.params;
+    if (!req.gameRoom.findMember(playerId)) {
+      return sendError(
+        res,
+        404,
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That player is not in this room"
+      );
+    }
+    kickPlayer(req.roomCode, req.gameRoom, playerId);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRoutes };
@@ -0,0 +1,5 @@
+// REST errors carry the same codes as socket errors (validation/errors.js)
+const sendError = (res, status, code, message) =>
+  res.status(status).json({ error: { code, message } });
+
+module.exports = { sendError };
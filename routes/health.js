@@ -0,0 +1,20 @@
+const express = require("express");
+
+// For load balancers and scrapers, so these sit outside /api:
+//   GET /healthz  - 200 while the server is up and taking connections
+//   GET /metrics  - Prometheus metrics (see metrics/index.js)
+function createHealthRoutes({ metrics, getGauges }) {
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.floor(process.uptime()) });
+  });
+
+  router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render(getGauges()));
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRoutes };
@@ -0,0 +1,72 @@
+const express = require("express");
+const { ERROR_CODES } = require("../validation");
+const { isMatchId, summarizeMatch } = require("../history");
+const { sendError } = require("./errors");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{1,12}$/;
+
+// Finished games for a room:
+//   GET /rooms/:roomCode/matches?limit=10  - summaries, newest first
+//   GET /rooms/:roomCode/matches/:matchId  - the full event log, in order,
+//                                            for replaying the game
+function createMatchRoutes(matchHistory) {
+  const router = express.Router();
+
+  router.param("roomCode", (req, res, next, roomCode) => {
+    req.roomCode = roomCode.toUpperCase();
+    if (!ROOM_CODE_PATTERN.test(req.roomCode)) {
+      return sendError(
+        res,
+        400,
+        ERROR_CODES.INVALID_PAYLOAD,
+        "roomCode is not valid"
+      );
+    }
+    next();
+  });
+
+  router.get("/rooms/:roomCode/matches", async (req, res, next) => {
+    const limit = Number(req.query.limit ?? DEFAULT_LIMIT);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return sendError(
+        res,
+        400,
+        ERROR_CODES.INVALID_PAYLOAD,
+        `limit must be between 1 and ${MAX_LIMIT}`
+      );
+    }
+    try {
+      const matches = await matchHistory.list(req.roomCode, limit);
+      res.json({ matches: matches.map(summarizeMatch) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/rooms/:roomCode/matches/:matchId", async (req, res, next) => {
+    const { matchId } = req.params;
+    try {
+      const match = isMatchId(matchId)
+        ? await matchHistory.get(req.roomCode, matchId)
+        : null;
+      if (!match) {
+        return sendError(
+          res,
+          404,
+          ERROR_CODES.MATCH_NOT_FOUND,
+          "No such match in this room"
+        );
+      }
+      res.json({ match });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMatchRoutes };
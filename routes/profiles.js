@@ -0,0 +1,47 @@
+const express = require("express");
+const { ERROR_CODES } = require("../validation");
+const { LEADERBOARD_MAX_LIMIT, publicProfile } = require("../profiles");
+const { sendError } = require("./errors");
+
+const DEFAULT_LIMIT = 10;
+
+// Player profiles and ratings:
+//   GET /leaderboard?limit=10      - rated profiles, best first
+//   GET /profiles/:profileId       - one profile's record
+function createProfileRoutes(profiles) {
+  const router = express.Router();
+
+  router.get("/leaderboard", (req, res) => {
+    const limit = Number(req.query.limit ?? DEFAULT_LIMIT);
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > LEADERBOARD_MAX_LIMIT
+    ) {
+      return sendError(
+        res,
+        400,
+        ERROR_CODES.INVALID_PAYLOAD,
+        `limit must be between 1 and ${LEADERBOARD_MAX_LIMIT}`
+      );
+    }
+    res.json({ players: profiles.leaderboard(limit) });
+  });
+
+  router.get("/profiles/:profileId", (req, res) => {
+    const profile = profiles.get(req.params.profileId);
+    if (!profile) {
+      return sendError(
+        res,
+        404,
+        ERROR_CODES.PROFILE_NOT_FOUND,
+        "No such profile"
+      );
+    }
+    res.json({ profile: publicProfile(profile) });
+  });
+
+  return router;
+}
+
+module.exports = { createProfileRoutes };
@@ -0,0 +1,15 @@
+const express = require("express");
+
+// The public room browser:
+//   GET /rooms  - public rooms with a free seat, same as the listRooms event
+function createRoomRoutes(listOpenRooms) {
+  const router = express.Router();
+
+  router.get("/rooms", (req, res) => {
+    res.json({ rooms: listOpenRooms() });
+  });
+
+  return router;
+}
+
+module.exports = { createRoomRoutes };
@@ -0,0 +1,28 @@
+// Regenerates cards/data/pokemon.json from PokeAPI.
+// Usage: npm run build:dataset
+const fs = require("fs");
+const path = require("path");
+const { POKEMON_COUNT, RemoteCardProvider } = require("../cards");
+
+const OUTPUT_FILE = path.join(__dirname, "..", "cards", "data", "pokemon.json");
+
+async function main() {
+  const remote = new RemoteCardProvider({ retries: 5 });
+  const records = [];
+  for (let id = 1; id <= POKEMON_COUNT; id++) {
+    records.push({
+      ...(await remote.getRecord(id)),
+      ...(await remote.getSpeciesInfo(id)),
+    });
+    if (id % 100 === 0) console.log(`Fetched ${id}/${POKEMON_COUNT}`);
+  }
+  // One record per line keeps diffs readable when stats change upstream.
+  const lines = records.map((record) => `  ${JSON.stringify(record)}`);
+  fs.writeFileSync(OUTPUT_FILE, `[\n${lines.join(",\n")}\n]\n`);
+  console.log(`Wrote ${records.length} Pokémon to ${OUTPUT_FILE}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
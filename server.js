@@ -3,13 +3,65 @@ require("dotenv").config();
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
-const axios = require("axios");
+const {
+  DEFAULT_STATS,
+  Deck,
+  GENERATION_COUNT,
+  buildCardPool,
+  createCardProvider,
+  getStatValue,
+  minPoolSize,
+} = require("./cards");
+const { matchupMultiplier } = require("./cards/typeChart");
+const { SeededRng, createSeed, hashSeed } = require("./cards/rng");
+const {
+  createPlayerId,
+  createProfileToken,
+  createSessionToken,
+  verifyProfileToken,
+  verifySessionToken,
+} = require("./auth/sessions");
+const {
+  createInviteToken,
+  createRoomCode,
+  hashPassword,
+  verifyPassword,
+} = require("./auth/roomAccess");
+const { createEventGuard, ERROR_CODES, SocketError } = require("./validation");
+const { createRoomStore } = require("./storage");
+const { MatchHistory, countStatPicks, createMatchId } = require("./history");
+const { ProfileRegistry, publicProfile } = require("./profiles");
+const { RoomChat } = require("./chat");
+const { GAME_PHASES, canTransition } = require("./phases");
+const { Tournament, TOURNAMENT_MIN_PLAYERS } = require("./tournaments");
+const { RoomVote, eligibleVoters } = require("./votes");
+const {
+  aggregateTeamValues,
+  interleaveTeams,
+  rosterProblem,
+  teamIdsFor,
+  topTeams,
+} = require("./teams");
+const { createMatchRoutes } = require("./routes/matches");
+const { createProfileRoutes } = require("./routes/profiles");
+const { createRoomRoutes } = require("./routes/rooms");
+const { createAdminRoutes } = require("./routes/admin");
+const { createHealthRoutes } = require("./routes/health");
+const { ServerMetrics } = require("./metrics");
+const {
+  BOT_THINK_MS,
+  chooseBotCard,
+  chooseBotStat,
+  createBotName,
+} = require("./bots");
+
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "http://localhost:5173";
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: process.env.CORS_ORIGIN || "http://localhost:5173",
+    origin: CORS_ORIGIN,
     methods: ["GET", "POST"],
     credentials: true,
   },
@@ -18,28 +70,119 @@ const io = new Server(server, {
 // Store active game rooms
 const gameRooms = new Map();
 
+// Tournaments taking registrations or being played. They aren't
+// snapshotted, so a restart ends them; their match rooms carry on as
+// ordinary rooms.
+const tournaments = new Map();
+
+// Rooms and tournaments share one set of codes, so a session token (which
+// carries the code) can only ever be for one of them
+const isCodeTaken = (code) => gameRooms.has(code) || tournaments.has(code);
+
+// How long a disconnected player keeps their seat before they're removed
+const DISCONNECT_GRACE_MS = Number(process.env.DISCONNECT_GRACE_MS) || 60000;
+
+// A Gym Leader who's connected but hasn't sent anything for this long can
+// be voted out of the role (see the takeLead vote)
+const LEADER_IDLE_MS = Number(process.env.LEADER_IDLE_MS) || 2 * 60 * 1000;
+
+const MAX_BOTS_PER_ROOM = 7;
+
+// Rooms quickMatch creates start once this many players have joined
+const QUICK_MATCH_MIN_PLAYERS =
+  Number(process.env.QUICK_MATCH_MIN_PLAYERS) || 2;
+
+// How long the results of a round stay up before the next one is dealt
+const NEXT_ROUND_DELAY_MS = 30000;
+
+// Every tournament match is one game between two players. Nobody runs a
+// match room: it starts on its own and closes once someone has won.
+const MATCH_ROOM_SETTINGS = {
+  maxPlayers: 2,
+  maxWinners: 1,
+  visibility: "private",
+  autoStartPlayers: 0,
+  readyCheck: false,
+  teamCount: 0,
+};
+
+// How soon a deal nobody may be around to retry is tried again: a match's
+// first deal, or a round between rounds
+const DEAL_RETRY_MS = 5000;
+
+// How long a finished tournament's bracket can still be looked up
+const FINISHED_TOURNAMENT_TTL_MS = 10 * 60 * 1000;
+
 const checkNameExists = (name) => {
   return activePlayers.has(name.toLowerCase());
 };
 
-async function fetchRandomPokemon() {
-  const id = Math.floor(Math.random() * 898) + 1;
-  const response = await axios.get(`https://pokeapi.co/api/v2/pokemon/${id}`);
-  const pokemon = response.data;
-  return {
-    id: pokemon.id,
-    name: pokemon.name,
-    sprite: pokemon.sprites.other["official-artwork"].front_default,
-    hp: pokemon.stats[0].base_stat,
-    stats: {
-      attack: pokemon.stats[1].base_stat,
-      defense: pokemon.stats[2].base_stat,
-      speed: pokemon.stats[5].base_stat,
-    },
-    type: pokemon.types[0].type.name,
-  };
+// Where cards come from is configured with CARD_PROVIDER (see cards/index.js)
+const cardProvider = createCardProvider();
+
+// Counters and timings served at /metrics
+const metrics = new ServerMetrics();
+
+// Fetches a card a game's deck has picked (see cards/deck.js)
+function fetchCard({ id, shiny }) {
+  return metrics.timeCardFetch(() => cardProvider.getCard(id, { shiny }));
 }
 
+// Where rooms are snapshotted so they survive a restart; null when
+// ROOM_STORE=none (see storage/index.js)
+const roomStore = createRoomStore();
+
+// Finished games, for the /api match routes
+const matchHistory = new MatchHistory(roomStore);
+
+// Opt-in player profiles with their ratings, loaded on boot
+const profiles = new ProfileRegistry(roomStore);
+
+// The REST routes are called by the same client as the socket, so they get
+// the same CORS policy
+app.use((req, res, next) => {
+  res.set("Access-Control-Allow-Origin", CORS_ORIGIN);
+  res.set("Access-Control-Allow-Credentials", "true");
+  next();
+});
+app.use("/api", createMatchRoutes(matchHistory));
+app.use("/api", createProfileRoutes(profiles));
+app.use("/api", createRoomRoutes(listOpenRooms));
+app.use(
+  "/api",
+  createAdminRoutes({
+    getRoom: (roomCode) => gameRooms.get(roomCode),
+    listRooms: listAllRooms,
+    closeRoom,
+    kickPlayer: kickFromRoom,
+  })
+);
+app.use(
+  createHealthRoutes({
+    metrics,
+    getGauges: () => ({
+      activeRooms: gameRooms.size,
+      connectedSockets: io.of("/").sockets.size,
+      cardProvider: cardProvider.name,
+    }),
+  })
+);
+app.use((err, req, res, next) => {
+  console.error(`Error handling ${req.method} ${req.path}:`, err);
+  res.status(500).json({
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: "Something went wrong. Please try again.",
+    },
+  });
+});
+
+// What opponents see in place of a card that hasn't been revealed yet
+const FACE_DOWN_CARD = { faceDown: true };
+
+// Bumped whenever the snapshot shape changes in a way old ones can't load
+const SNAPSHOT_VERSION = 2;
+
 class GameRoom {
   constructor(settings) {
     this.players = new Map();
@@ -48,8 +191,51 @@ class GameRoom {
     this.settings = {
       roundsToWin: settings.roundsToWin || 3,
       maxWinners: this.validateMaxWinners(settings.maxWinners || 1),
+      // Seconds the picker has to choose a stat; 0 lets them take forever
+      turnTimeLimit: settings.turnTimeLimit ?? 30,
+      // What the server picks when time runs out: "random" or "best"
+      autoPickStrategy: settings.autoPickStrategy || "random",
+      // "classic" deals one card per round; in "draft" everyone is dealt a
+      // hand at the start and secretly commits a card from it each round
+      mode: settings.mode || "classic",
+      handSize: settings.handSize || 5,
+      // Scale the compared stat by how each card's types match up
+      typeEffectiveness: settings.typeEffectiveness ?? false,
+      // Which stats pickers may choose from (keys of cards/stats.js)
+      allowedStats: settings.allowedStats || DEFAULT_STATS,
+      // "public" rooms are listed by listRooms and filled by quickMatch
+      visibility: settings.visibility || "private",
+      maxPlayers: settings.maxPlayers || 8,
+      // When set, the game starts by itself once this many players are in
+      autoStartPlayers: settings.autoStartPlayers || 0,
+      maxSpectators: settings.maxSpectators ?? 10,
+      // What chat does with swearing: "off", "mask" or "block"
+      profanityFilter: settings.profanityFilter || "mask",
+      // Which Pokémon can be dealt (see cards/pool.js)
+      minGeneration: settings.minGeneration || 1,
+      maxGeneration: settings.maxGeneration || GENERATION_COUNT,
+      types: settings.types || [],
+      includeLegendary: settings.includeLegendary ?? true,
+      includeMythical: settings.includeMythical ?? true,
+      shinyChance: settings.shinyChance || 0,
+      // 0 is free-for-all; 2-4 splits the players into that many teams,
+      // which score together (see teams/index.js)
+      teamCount: settings.teamCount || 0,
+      teamScoring: settings.teamScoring || "sum",
+      // Have everyone confirm they're ready before a game starts
+      readyCheck: settings.readyCheck ?? false,
+      // Player votes (see votes/index.js): the percentage of voters who
+      // must say yes, and how many seconds a vote stays open
+      voteThreshold: settings.voteThreshold || 60,
+      voteDuration: settings.voteDuration || 30,
+      // Deal every game from this seed instead of a random one, so games
+      // can be replayed for testing. It would give the deals away, so it's
+      // kept from players (see getPublicSettings) until each game's seed is
+      // revealed at the end; null deals from random seeds.
+      seed: settings.seed || null,
     };
     this.winners = [];
+    this.teamScores = {}; // team mode only: team id -> rounds won
     this.creator = null;
     this.pickerCycle = [];
     this.pickerIndex = 0;
@@ -58,19 +244,66 @@ class GameRoom {
     this.lastSelectedStat = null;
     this.playerNames = new Set();
     this.nextRoundTimeoutId = null;
+    this.nextRoundAt = null; // when the queued next round is due, if any
+    this.phase = "lobby"; // see phases/index.js
+    this.onPhaseChange = null; // set by the server to announce each change
+    this.pendingCommits = new Set(); // draft mode: players yet to commit a card
+    this.turnStage = null; // while picking: "commit" (draft only), then "pick"
+    this.turnTimerId = null;
+    this.turnDeadline = null;
+    this.botTimeoutId = null;
+    this.disconnectTimeouts = new Map();
+    this.matchLog = null; // the game in progress, until it's in the history
+    // Players who left the game in progress, as { id, profileId, score,
+    // team }.
+    // They're still rated with everyone else when it ends.
+    this.leavers = [];
+    this.rng = null; // what the current game's cards are dealt from
+    this.deck = null; // the current game's cards, drawn from rng
+    this.cardPool = []; // the Pokédex ids the current game deals from
+    this.passwordHash = null; // see auth/roomAccess.js
+    this.locked = false; // no new players while locked
+    this.invites = new Map(); // invite token -> { expiresAt, singleUse }
+    // Spectators watch from the room channel but are never dealt in, so
+    // nothing about the game itself has to skip over them
+    this.spectators = new Map(); // id -> { name, socketId, profileId }
+    this.chat = new RoomChat();
+    // Set on a tournament match's room: { tournamentCode, matchId }. Kept
+    // across a restart, so the match is still played out and rated even
+    // though the tournament itself is lost.
+    this.tournamentMatch = null;
+    // Votes aren't snapshotted; one open when the server restarts is lost
+    this.vote = null; // the vote under way, if any
+    this.nextVoteId = 1;
   }
 
   hasPlayerName(name) {
     return this.playerNames.has(name.toLowerCase());
   }
 
-  addPlayer(playerId, playerName, isCreator = false) {
+  // Unlike hasPlayerName this still works after the names are cleared at
+  // the end of a game. Spectators' names count, so they can be promoted.
+  isNameInUse(name) {
+    return [...this.players.values(), ...this.spectators.values()].some(
+      (member) => member.name.toLowerCase() === name.toLowerCase()
+    );
+  }
+
+  addPlayer(playerId, playerName, isCreator = false, profileId = null) {
     const player = {
       name: playerName,
       score: 0,
       pokemon: null,
       isCreator,
       isBackInRoom: true, // default to false. We'll flip to true if they're truly in the "in-room" lobby.
+      isReady: false, // only used during a ready check
+      isConnected: true,
+      socketId: null, // the socket currently holding this seat
+      isBot: false,
+      hand: [], // draft mode only
+      profileId, // null for guests
+      team: null, // team mode only: one of teamIdsFor(settings.teamCount)
+      lastActiveAt: Date.now(), // when they last sent the room anything
     };
     this.players.set(playerId, player);
     this.playerNames.add(playerName.toLowerCase()); // Add to this room's names
@@ -80,11 +313,137 @@ class GameRoom {
     return player;
   }
 
+  // Bots are always connected and always back in the room, so they never
+  // hold up a game; they just need a name and a difficulty.
+  addBot(botId, difficulty) {
+    const name = createBotName((botName) => this.isNameInUse(botName));
+    const bot = this.addPlayer(botId, name);
+    bot.isBot = true;
+    bot.botDifficulty = difficulty;
+    return bot;
+  }
+
+  hasProfile(profileId) {
+    return [...this.players.values(), ...this.spectators.values()].some(
+      (member) => member.profileId === profileId
+    );
+  }
+
+  // The player or spectator with this id
+  findMember(id) {
+    return this.players.get(id) || this.spectators.get(id);
+  }
+
+  addSpectator(spectatorId, name, profileId = null) {
+    const spectator = { name, socketId: null, profileId };
+    this.spectators.set(spectatorId, spectator);
+    return spectator;
+  }
+
+  removeSpectator(spectatorId) {
+    this.spectators.delete(spectatorId);
+  }
+
+  getSpectators() {
+    return Array.from(this.spectators.entries()).map(([id, spectator]) => ({
+      id,
+      name: spectator.name,
+    }));
+  }
+
+  isSpectatingFull() {
+    return this.spectators.size >= this.settings.maxSpectators;
+  }
+
+  // Gives a spectator a seat for the next game, keeping their id (and so
+  // their session token and socket channels)
+  promoteSpectator(spectatorId) {
+    const spectator = this.spectators.get(spectatorId);
+    this.spectators.delete(spectatorId);
+    const player = this.addPlayer(
+      spectatorId,
+      spectator.name,
+      false,
+      spectator.profileId
+    );
+    player.socketId = spectator.socketId;
+    return player;
+  }
+
+  isFull() {
+    return this.players.size >= this.settings.maxPlayers;
+  }
+
+  // The settings as anyone in or browsing the room sees them. A fixed seed
+  // would give every deal away, so only the fact that there is one is shown
+  // until seedRevealed.
+  getPublicSettings() {
+    const { seed, ...settings } = this.settings;
+    return { ...settings, fixedSeed: seed !== null };
+  }
+
+  // What the room browser shows for a public room
+  getSummary() {
+    return {
+      playerCount: this.players.size,
+      maxPlayers: this.settings.maxPlayers,
+      creatorName: this.players.get(this.creator)?.name ?? null,
+      settings: this.getPublicSettings(),
+      phase: this.phase,
+      hasPassword: this.passwordHash !== null,
+      spectatorCount: this.spectators.size,
+    };
+  }
+
+  // Invites let the creator bring players in without the password. Each
+  // one works until it expires, and single-use ones only work once.
+  createInvite({ singleUse, ttlMs }) {
+    this.pruneInvites();
+    const inviteToken = createInviteToken();
+    const invite = { expiresAt: Date.now() + ttlMs, singleUse };
+    this.invites.set(inviteToken, invite);
+    return { inviteToken, ...invite };
+  }
+
+  redeemInvite(inviteToken) {
+    this.pruneInvites();
+    const invite = this.invites.get(inviteToken);
+    if (!invite) return false;
+    if (invite.singleUse) this.invites.delete(inviteToken);
+    return true;
+  }
+
+  pruneInvites() {
+    const now = Date.now();
+    for (const [inviteToken, invite] of this.invites) {
+      if (invite.expiresAt <= now) this.invites.delete(inviteToken);
+    }
+  }
+
+  getBotCount() {
+    return Array.from(this.players.values()).filter((p) => p.isBot).length;
+  }
+
+  hasHumanPlayers() {
+    return Array.from(this.players.values()).some((p) => !p.isBot);
+  }
+
+  // Notes a player leaving mid-game, so they can be rated as having
+  // forfeited it. Nothing to note between games.
+  recordLeaver(playerId) {
+    if (!this.matchLog) return;
+    const { profileId, score, team } = this.players.get(playerId);
+    this.leavers.push({ id: playerId, profileId, score, team });
+  }
+
   removePlayer(playerId) {
+    this.clearDisconnectTimeout(playerId);
+    this.pendingCommits.delete(playerId);
     const player = this.players.get(playerId);
     if (player) {
       this.playerNames.delete(player.name.toLowerCase());
       this.players.delete(playerId);
+      this.logEvent("playerLeft", { playerId });
     }
   }
 
@@ -99,6 +458,90 @@ class GameRoom {
     this.playerNames.clear();
   }
 
+  isConnected(playerId) {
+    return this.players.get(playerId)?.isConnected ?? false;
+  }
+
+  markDisconnected(playerId, onExpire, graceMs) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.isConnected = false;
+    this.clearDisconnectTimeout(playerId);
+    this.disconnectTimeouts.set(playerId, setTimeout(onExpire, graceMs));
+  }
+
+  markReconnected(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.isConnected = true;
+    this.markActive(playerId);
+    this.clearDisconnectTimeout(playerId);
+  }
+
+  markActive(playerId) {
+    const player = this.players.get(playerId);
+    if (player) player.lastActiveAt = Date.now();
+  }
+
+  // A Gym Leader who's disconnected or has gone quiet for LEADER_IDLE_MS.
+  // Returns when they'll count as AFK, or null if they already do.
+  leaderAfkAt(now = Date.now()) {
+    if (!this.isConnected(this.creator)) return null;
+    const afkAt = this.players.get(this.creator).lastActiveAt + LEADER_IDLE_MS;
+    return afkAt > now ? afkAt : null;
+  }
+
+  clearDisconnectTimeout(playerId) {
+    const timeoutId = this.disconnectTimeouts.get(playerId);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.disconnectTimeouts.delete(playerId);
+    }
+  }
+
+  // Until the round is evaluated each player may only see their own card.
+  // Takes a state's player list and turns everyone else's pokemon face down
+  // for viewerId; once the round is revealed the list is returned as is.
+  projectPlayersFor(players, viewerId) {
+    if (this.phase !== "picking") return players;
+    return players.map((player) =>
+      player.id === viewerId || !player.pokemon
+        ? player
+        : { ...player, pokemon: FACE_DOWN_CARD }
+    );
+  }
+
+  getLobbyPlayers() {
+    return Array.from(this.players.entries()).map(([id, player]) => ({
+      id,
+      name: player.name,
+      isCreator: player.isCreator,
+      score: player.score,
+      isBackInRoom: player.isBackInRoom,
+      isConnected: player.isConnected,
+      isBot: player.isBot,
+      profileId: player.profileId,
+      team: player.team,
+      isReady: player.isReady,
+    }));
+  }
+
+  // The lobby view plus everyone's cards, for catching someone up on a game
+  // in progress. Pass it through projectPlayersFor before sending it.
+  getTablePlayers() {
+    return Array.from(this.players.entries()).map(([id, p]) => ({
+      id,
+      name: p.name,
+      isCreator: p.isCreator,
+      score: p.score,
+      pokemon: p.pokemon,
+      isBackInRoom: p.isBackInRoom,
+      isConnected: p.isConnected,
+      isBot: p.isBot,
+      team: p.team,
+    }));
+  }
+
   validateMaxWinners(maxWinners) {
     const playerCount = this.players.size;
     // For 2 players, we should allow 1 winner
@@ -113,7 +556,92 @@ class GameRoom {
     if (settings.maxWinners !== undefined) {
       settings.maxWinners = this.validateMaxWinners(settings.maxWinners);
     }
+    // An empty seed goes back to random ones
+    if (settings.seed === "") settings.seed = null;
     this.settings = { ...this.settings, ...settings };
+    // Players on a team that no longer exists go back to being unassigned
+    const teamIds = teamIdsFor(this.settings.teamCount);
+    for (const player of this.players.values()) {
+      if (!teamIds.includes(player.team)) player.team = null;
+    }
+  }
+
+  isTeamMode() {
+    return this.settings.teamCount > 0;
+  }
+
+  // Player ids on each team, one list per team in team order
+  getTeamRosters() {
+    return teamIdsFor(this.settings.teamCount).map((team) =>
+      Array.from(this.players.keys()).filter(
+        (id) => this.players.get(id).team === team
+      )
+    );
+  }
+
+  // Each team's points and members, for round payloads; null outside team
+  // mode
+  getTeamStandings() {
+    if (!this.isTeamMode()) return null;
+    const rosters = this.getTeamRosters();
+    return teamIdsFor(this.settings.teamCount).map((team, i) => ({
+      id: team,
+      score: this.teamScores[team] || 0,
+      members: rosters[i],
+    }));
+  }
+
+  // Why the teams can't start a game as they are, or null if they can
+  getTeamProblem() {
+    if (!this.isTeamMode()) return null;
+    const unassigned = Array.from(this.players.values()).filter(
+      (player) => !player.team
+    );
+    return rosterProblem(this.getTeamRosters(), unassigned.length);
+  }
+
+  // Who picks next, in turn. In team mode the teams alternate.
+  getPickerOrder() {
+    const activePlayers = this.getActivePlayers();
+    if (!this.isTeamMode()) return activePlayers;
+    return interleaveTeams(this.getTeamRosters()).filter((id) =>
+      activePlayers.includes(id)
+    );
+  }
+
+  // Scores a round won by a player, or in team mode by a whole team. Team
+  // members all carry their team's points as their own score, so the game
+  // end and ratings treat the team as one.
+  awardRound(side) {
+    if (!side) return; // nobody had a card to play
+    let winnerIds = [side];
+    if (this.isTeamMode()) {
+      this.teamScores[side] = (this.teamScores[side] || 0) + 1;
+      winnerIds = Array.from(this.players.keys()).filter(
+        (id) => this.players.get(id).team === side
+      );
+    }
+    for (const id of winnerIds) {
+      const winner = this.players.get(id);
+      if (!winner) continue;
+      winner.score = this.isTeamMode()
+        ? this.teamScores[side]
+        : winner.score + 1;
+      if (
+        winner.score >= this.settings.roundsToWin &&
+        !this.winners.includes(id)
+      ) {
+        this.winners.push(id);
+      }
+    }
+  }
+
+  // A team game is over as soon as one team wins; otherwise it goes on
+  // until maxWinners players have
+  isGameOver() {
+    return this.isTeamMode()
+      ? this.winners.length > 0
+      : this.winners.length >= this.settings.maxWinners;
   }
 
   getActivePlayers() {
@@ -127,25 +655,220 @@ class GameRoom {
       clearTimeout(this.nextRoundTimeoutId);
       this.nextRoundTimeoutId = null;
     }
+    this.nextRoundAt = null;
+  }
+
+  // Queues onStart to run after delayMs, replacing any round already queued.
+  // The due time is kept so a restored room can queue it again.
+  scheduleNextRound(onStart, delayMs) {
+    this.clearNextRoundTimeout();
+    this.nextRoundAt = Date.now() + delayMs;
+    this.setPhase("intermission");
+    this.nextRoundTimeoutId = setTimeout(() => {
+      this.nextRoundTimeoutId = null;
+      this.nextRoundAt = null;
+      onStart();
+    }, delayMs);
+    this.prefetchNextRound();
+  }
+
+  // Runs the picker's countdown. onTick gets the seconds left once a second;
+  // onExpire fires once if the deadline passes before clearTurnTimer().
+  startTurnTimer(onTick, onExpire) {
+    this.clearTurnTimer();
+    if (!this.settings.turnTimeLimit) return null;
+
+    this.turnDeadline = Date.now() + this.settings.turnTimeLimit * 1000;
+    this.turnTimerId = setInterval(() => {
+      const secondsLeft = Math.ceil((this.turnDeadline - Date.now()) / 1000);
+      if (secondsLeft > 0) {
+        onTick(secondsLeft);
+      } else {
+        this.clearTurnTimer();
+        onExpire();
+      }
+    }, 1000);
+    return this.turnDeadline;
+  }
+
+  clearBotTimeout() {
+    if (this.botTimeoutId) {
+      clearTimeout(this.botTimeoutId);
+      this.botTimeoutId = null;
+    }
+  }
+
+  clearTurnTimer() {
+    if (this.turnTimerId) {
+      clearInterval(this.turnTimerId);
+      this.turnTimerId = null;
+    }
+    this.turnDeadline = null;
+  }
+
+  // Stops everything the room has scheduled, for when it's closed
+  clearAllTimers() {
+    this.clearNextRoundTimeout();
+    this.clearTurnTimer();
+    this.clearBotTimeout();
+    this.clearVote();
+    for (const playerId of Array.from(this.disconnectTimeouts.keys())) {
+      this.clearDisconnectTimeout(playerId);
+    }
+  }
+
+  isDraft() {
+    return this.settings.mode === "draft";
+  }
+
+  // Opens a vote that ends by itself (onExpire) after voteDuration unless
+  // clearVote() gets there first
+  openVote(kind, targetId, startedBy, onExpire) {
+    const durationMs = this.settings.voteDuration * 1000;
+    this.vote = new RoomVote({
+      id: this.nextVoteId++,
+      kind,
+      targetId,
+      startedBy,
+      expiresAt: Date.now() + durationMs,
+    });
+    this.vote.timeoutId = setTimeout(onExpire, durationMs);
+    return this.vote;
+  }
+
+  clearVote() {
+    if (this.vote) {
+      clearTimeout(this.vote.timeoutId);
+      this.vote = null;
+    }
+  }
+
+  // Only players who are actually here get a say: bots, spectators and
+  // anyone disconnected don't count towards a vote's threshold. Nor does a
+  // Gym Leader who's gone AFK count towards a takeLead vote about them,
+  // until they send something again.
+  getVoterIds(kind) {
+    const leaderAway = kind === "takeLead" && this.leaderAfkAt() === null;
+    return Array.from(this.players.keys()).filter(
+      (id) =>
+        !this.players.get(id).isBot &&
+        this.isConnected(id) &&
+        !(leaderAway && id === this.creator)
+    );
+  }
+
+  tallyVote() {
+    return this.vote.tally(
+      this.getVoterIds(this.vote.kind),
+      this.settings.voteThreshold
+    );
+  }
+
+  getVoteView() {
+    return this.vote && this.vote.toView(this.tallyVote());
+  }
+
+  // Whether the open vote is still about something: the player it's about
+  // is still here and, for skipPicker, still the one picking; for takeLead,
+  // still Gym Leader with the player who'd replace them still here
+  isVoteStillRelevant() {
+    const { kind, targetId, startedBy } = this.vote;
+    if (!this.players.has(targetId)) return false;
+    if (kind === "skipPicker") {
+      return (
+        this.phase === "picking" &&
+        this.turnStage === "pick" &&
+        this.currentPicker === targetId
+      );
+    }
+    if (kind === "takeLead") {
+      return this.creator === targetId && this.players.has(startedBy);
+    }
+    return true;
+  }
+
+  // Fetches a fresh hand for each of the players, all in one go. Returns
+  // them as [playerId, hand] pairs, for giveHands to hand out.
+  async fetchHands(playerIds) {
+    const { handSize } = this.settings;
+    const cards = await this.deck.deal(playerIds.length * handSize);
+    return playerIds.map((playerId, i) => [
+      playerId,
+      cards.slice(i * handSize, (i + 1) * handSize),
+    ]);
+  }
+
+  giveHands(hands) {
+    for (const [playerId, hand] of hands) {
+      this.players.get(playerId).hand = hand;
+      // A copy: commits splice cards out of the hand itself
+      this.logEvent("handDealt", { playerId, hand: [...hand] });
+    }
+  }
+
+  // Draft mode: plays a card from the player's hand for this round. The card
+  // is used up straight away, so a commitment can't be taken back.
+  commitCard(playerId, cardIndex) {
+    const player = this.players.get(playerId);
+    if (!this.pendingCommits.has(playerId) || !player.hand[cardIndex]) {
+      return false;
+    }
+    [player.pokemon] = player.hand.splice(cardIndex, 1);
+    this.pendingCommits.delete(playerId);
+    this.logEvent("cardCommitted", { playerId, card: player.pokemon });
+    return true;
+  }
+
+  allCardsCommitted() {
+    return this.pendingCommits.size === 0;
+  }
+
+  // Chooses a stat on behalf of a picker who ran out of time
+  chooseAutoStat() {
+    const pokemon = this.players.get(this.currentPicker)?.pokemon;
+    const { allowedStats } = this.settings;
+    if (this.settings.autoPickStrategy === "best" && pokemon) {
+      return allowedStats.reduce((best, stat) =>
+        getStatValue(pokemon, stat) > getStatValue(pokemon, best) ? stat : best
+      );
+    }
+    return allowedStats[Math.floor(Math.random() * allowedStats.length)];
   }
 
   getNextPicker() {
-    const activePlayers = this.getActivePlayers();
+    const activePlayers = this.getPickerOrder();
     if (activePlayers.length === 0) return null;
 
     // If current picker is a winner or doesn't exist, find next valid picker
     if (!this.currentPicker || this.winners.includes(this.currentPicker)) {
-      return activePlayers[0];
+      return (
+        activePlayers.find((id) => this.isConnected(id)) || activePlayers[0]
+      );
     }
 
     // Find current picker's index in active players
     const currentIndex = activePlayers.indexOf(this.currentPicker);
-    if (currentIndex === -1) return activePlayers[0];
 
-    // Get next picker, wrapping around to start if needed
+    // Get next connected picker, wrapping around to start if needed.
+    // Disconnected players are skipped so a round never waits on them.
+    for (let offset = 1; offset <= activePlayers.length; offset++) {
+      const candidate =
+        activePlayers[(currentIndex + offset) % activePlayers.length];
+      if (this.isConnected(candidate)) return candidate;
+    }
     return activePlayers[(currentIndex + 1) % activePlayers.length];
   }
 
+  // Hands the pick to the next connected player, e.g. when the picker drops
+  // mid-round. Returns the new picker's id, or null if nobody could take it.
+  passPicker() {
+    const nextPicker = this.getNextPicker();
+    if (!nextPicker || nextPicker === this.currentPicker) return null;
+    this.logEvent("pickerPassed", { from: this.currentPicker, to: nextPicker });
+    this.currentPicker = nextPicker;
+    return nextPicker;
+  }
+
   // Add to the GameRoom class in your server file
   transferCreator(oldCreatorId, newCreatorId) {
     const oldCreator = this.players.get(oldCreatorId);
@@ -154,6 +877,9 @@ class GameRoom {
     if (!oldCreator || !newCreator || oldCreatorId !== this.creator) {
       return false; // Cannot transfer if either player doesn't exist or if requester isn't creator
     }
+    if (newCreator.isBot) {
+      return false; // Bots can't run a room
+    }
 
     // Update creator status
     oldCreator.isCreator = false;
@@ -169,7 +895,14 @@ class GameRoom {
       this.players.size > 0 &&
       (!this.creator || !this.players.has(this.creator))
     ) {
-      const nextCreatorId = Array.from(this.players.keys())[0];
+      // Prefer someone who is actually connected to run the room. Bots
+      // never do.
+      const playerIds = Array.from(this.players.keys()).filter(
+        (id) => !this.players.get(id).isBot
+      );
+      if (playerIds.length === 0) return null;
+      const nextCreatorId =
+        playerIds.find((id) => this.isConnected(id)) || playerIds[0];
       const nextCreator = this.players.get(nextCreatorId);
       nextCreator.isCreator = true;
       this.creator = nextCreatorId;
@@ -178,28 +911,157 @@ class GameRoom {
     return null;
   }
 
-  async startNewRound() {
+  // Moves the room on to another phase. A move the transition table in
+  // phases/index.js doesn't allow is a bug, so it throws.
+  setPhase(phase) {
+    if (phase === this.phase) return;
+    if (!canTransition(this.phase, phase)) {
+      throw new Error(`A room can't go from ${this.phase} to ${phase}`);
+    }
+    this.phase = phase;
+    if (this.onPhaseChange) this.onPhaseChange(phase);
+  }
+
+  // Runs deal() in the dealing phase. If the cards can't be fetched the
+  // room goes back to the phase it was in rather than staying stuck; a ready
+  // check has done its job by then, so that goes back to the lobby.
+  async inDealingPhase(deal) {
+    const fromPhase = this.phase;
+    this.setPhase("dealing");
+    try {
+      return await deal();
+    } catch (err) {
+      if (fromPhase === "ready-check") {
+        this.cancelReadyCheck();
+      } else {
+        this.setPhase(fromPhase);
+      }
+      throw err;
+    }
+  }
+
+  // The Gym Leader asked to start with the readyCheck setting on. Whoever
+  // asked is taken to be ready, and bots always are.
+  startReadyCheck(starterId) {
+    for (const [id, player] of this.players) {
+      player.isReady = player.isBot || id === starterId;
+    }
+    this.setPhase("ready-check");
+  }
+
+  cancelReadyCheck() {
+    for (const player of this.players.values()) player.isReady = false;
+    this.setPhase("lobby");
+  }
+
+  isEveryoneReady() {
+    return Array.from(this.players.values()).every(
+      (player) => player.isBot || player.isReady
+    );
+  }
+
+  // After a game the room is back in its lobby once every player has
+  // returned from the results. True if that just happened.
+  returnToLobbyIfAllBack() {
+    if (this.phase !== "ended") return false;
+    const allBack = Array.from(this.players.values()).every(
+      (player) => player.isBackInRoom
+    );
+    if (allBack) this.setPhase("lobby");
+    return allBack;
+  }
+
+  startNewRound() {
+    return this.inDealingPhase(() => this.dealRound());
+  }
+
+  // A tie-break is played by the tied players still here; any other round
+  // by everyone who hasn't already won
+  getRoundPlayers() {
+    return this.inTieBreaker
+      ? this.tieBreakPlayers.filter((id) => this.players.has(id))
+      : this.getActivePlayers();
+  }
+
+  // Every card for the round is fetched before anything about the room
+  // changes, so a failed deal leaves it exactly as it was. Whoever left while
+  // the cards were on their way is simply not dealt in.
+  async dealRound() {
+    if (this.isDraft()) {
+      return this.startDraftRound();
+    }
+
+    const roundPlayers = this.getRoundPlayers();
+    const cards = await this.deck.deal(roundPlayers.length);
+    const dealt = this.stillSeated(
+      roundPlayers.map((playerId, i) => [playerId, cards[i]])
+    );
+    if (dealt.length === 0) throw new Error("Nobody is left to deal to");
+    this.movePickerOn();
+    for (const [playerId, card] of dealt) {
+      this.players.get(playerId).pokemon = card;
+    }
+
+    return this.finishRoundSetup();
+  }
+
+  // Draft mode: nothing is dealt per round. Everyone taking part commits a
+  // card from their hand (topped up when it runs dry) and only then does the
+  // picker choose the stat.
+  async startDraftRound() {
+    const hands = await this.fetchHands(
+      this.needingHands(this.getRoundPlayers())
+    );
+    const roundPlayers = this.getRoundPlayers();
+    if (roundPlayers.length === 0) throw new Error("Nobody is left to deal to");
+    this.giveHands(this.stillSeated(hands));
+    this.movePickerOn();
+
+    for (const playerId of roundPlayers) {
+      this.players.get(playerId).pokemon = null;
+    }
+    this.pendingCommits = new Set(roundPlayers);
+
+    return this.finishRoundSetup();
+  }
+
+  // Players can leave while a deal waits on the card provider. Of the
+  // [playerId, cards] pairs dealt, keeps those whose player is still here.
+  stillSeated(dealt) {
+    return dealt.filter(([playerId]) => this.players.has(playerId));
+  }
+
+  needingHands(playerIds) {
+    return playerIds.filter((id) => this.players.get(id).hand.length === 0);
+  }
+
+  movePickerOn() {
     if (this.inTieBreaker) {
-      // In tie breaker, regenerate Pokemon only for tie break players
-      for (const playerId of this.tieBreakPlayers) {
-        const player = this.players.get(playerId);
-        if (player) {
-          player.pokemon = await fetchRandomPokemon();
-        }
+      // The picker carries over into a tie-break, unless they've dropped
+      if (!this.isConnected(this.currentPicker)) {
+        this.passPicker();
       }
     } else {
-      // Regular round - update picker and generate Pokemon for active players
       this.currentPicker = this.getNextPicker();
-
-      // Generate Pokemon only for non-winner players
-      const activePlayers = this.getActivePlayers();
-      for (const playerId of activePlayers) {
-        const player = this.players.get(playerId);
-        player.pokemon = await fetchRandomPokemon();
-      }
     }
+  }
 
+  // Starts fetching the next round's cards while the results of this one
+  // are up, so dealing it doesn't have to wait on the card provider
+  prefetchNextRound() {
+    const roundPlayers = this.getRoundPlayers();
+    this.deck.prefetch(
+      this.isDraft()
+        ? this.needingHands(roundPlayers).length * this.settings.handSize
+        : roundPlayers.length
+    );
+  }
+
+  finishRoundSetup() {
     const state = {
+      mode: this.settings.mode,
+      allowedStats: this.settings.allowedStats,
+      pendingCommits: Array.from(this.pendingCommits),
       currentRound: this.currentRound,
       currentPicker: this.currentPicker,
       inTieBreaker: this.inTieBreaker,
@@ -211,35 +1073,64 @@ class GameRoom {
         score: player.score,
         isPicker: id === this.currentPicker,
         isCreator: player.isCreator,
+        isBot: player.isBot,
         isWinner: this.winners.includes(id),
+        team: player.team,
       })),
+      teams: this.getTeamStandings(),
       winners: this.winners, // Add winners to state
-      gameEnded: this.winners.length >= this.settings.maxWinners, // Add gameEnded
+      gameEnded: this.isGameOver(), // Add gameEnded
     };
 
+    this.logEvent("roundStarted", {
+      round: this.currentRound,
+      picker: this.currentPicker,
+      inTieBreaker: this.inTieBreaker,
+      tieBreakPlayers: this.tieBreakPlayers,
+      // Draft mode cards show up as cardCommitted events instead
+      cards: Object.fromEntries(
+        state.players
+          .filter((player) => player.pokemon)
+          .map((player) => [player.id, player.pokemon])
+      ),
+    });
+
     if (!this.inTieBreaker) {
       this.currentRound++;
     }
-    return state;
+    this.setPhase("picking");
+    return { ...state, phase: this.phase };
   }
 
   evaluateRound(selectedStat) {
     this.lastSelectedStat = selectedStat;
+    this.setPhase("reveal");
     let highestValue = -1;
     let roundWinners = [];
+    const values = {};
+    const wasInTieBreaker = this.inTieBreaker;
 
     // Determine which players to evaluate: all active players or just the tie-break players
-    const playersToEvaluate = this.inTieBreaker
-      ? this.tieBreakPlayers
-      : this.getActivePlayers();
+    const playersToEvaluate = (
+      this.inTieBreaker ? this.tieBreakPlayers : this.getActivePlayers()
+    ).filter((id) => this.players.get(id)?.pokemon);
+
+    const typeModifiers = this.settings.typeEffectiveness
+      ? this.getTypeModifiers(playersToEvaluate)
+      : null;
 
     // Find the highest value and all players who achieved it
     for (const playerId of playersToEvaluate) {
       const player = this.players.get(playerId);
-      const value =
-        selectedStat === "hp"
-          ? player.pokemon.hp
-          : player.pokemon.stats[selectedStat];
+      let value = getStatValue(player.pokemon, selectedStat);
+      if (typeModifiers) {
+        const modifier = typeModifiers[playerId];
+        modifier.baseValue = value;
+        // Rounded so float noise can't split what should be a tie
+        value = Math.round(value * modifier.multiplier * 100) / 100;
+        modifier.value = value;
+      }
+      values[playerId] = value;
       if (value > highestValue) {
         highestValue = value;
         roundWinners = [playerId];
@@ -248,50 +1139,63 @@ class GameRoom {
       }
     }
 
-    if (!this.inTieBreaker) {
-      // In a normal round: if there's a tie, enter tie-break mode;
-      // otherwise, update the clear winner’s score.
-      if (roundWinners.length > 1) {
-        // Tie detected: enter tie-break mode and save tied players
-        this.inTieBreaker = true;
-        this.tieBreakPlayers = roundWinners;
-      } else {
-        // Clear winner: update score as usual.
-        const winner = this.players.get(roundWinners[0]);
-        if (winner) {
-          winner.score++;
-          if (winner.score >= this.settings.roundsToWin) {
-            if (!this.winners.includes(roundWinners[0])) {
-              this.winners.push(roundWinners[0]);
-            }
-          }
-        }
-      }
+    // Who took the round: single players, or whole teams in team mode
+    let teamValues = null;
+    let winningSides = roundWinners;
+    if (this.isTeamMode()) {
+      teamValues = aggregateTeamValues(
+        values,
+        (id) => this.players.get(id).team,
+        this.settings.teamScoring
+      );
+      winningSides = topTeams(teamValues);
+      roundWinners = playersToEvaluate.filter((id) =>
+        winningSides.includes(this.players.get(id).team)
+      );
+    }
+
+    if (winningSides.length > 1) {
+      // A tie starts a tie-break between the tied players, or narrows down
+      // the one already running
+      this.inTieBreaker = true;
+      this.tieBreakPlayers = roundWinners;
     } else {
-      // Already in tie-break mode
-      if (roundWinners.length > 1) {
-        // Still tied: update tie-break players and continue tie-break rounds
-        this.tieBreakPlayers = roundWinners;
-      } else {
-        // Tie-break clear winner: update score and exit tie-break mode.
-        const winner = this.players.get(roundWinners[0]);
-        if (winner) {
-          winner.score++;
-          if (winner.score >= this.settings.roundsToWin) {
-            if (!this.winners.includes(roundWinners[0])) {
-              this.winners.push(roundWinners[0]);
-            }
-          }
-        }
-        this.inTieBreaker = false;
-        this.tieBreakPlayers = [];
-      }
+      // A clear winner scores, which also settles any tie-break
+      this.awardRound(winningSides[0]);
+      this.inTieBreaker = false;
+      this.tieBreakPlayers = [];
     }
 
-    const gameEnded = this.winners.length >= this.settings.maxWinners;
+    const gameEnded = this.isGameOver();
+
+    this.logEvent("roundEvaluated", {
+      picker: this.currentPicker,
+      stat: selectedStat,
+      values,
+      typeModifiers,
+      roundWinners,
+      scores: Object.fromEntries(
+        Array.from(this.players.entries()).map(([id, p]) => [id, p.score])
+      ),
+      ...(teamValues && { teamValues, teamScores: { ...this.teamScores } }),
+    });
+    if (this.inTieBreaker) {
+      this.logEvent(
+        wasInTieBreaker ? "tieBreakerContinued" : "tieBreakerStarted",
+        {
+          players: this.tieBreakPlayers,
+        }
+      );
+    } else if (wasInTieBreaker) {
+      this.logEvent("tieBreakerEnded", { winner: roundWinners[0] });
+    }
+    if (gameEnded) {
+      this.logEvent("gameEnded", { winners: this.winners });
+    }
 
     return {
       roundWinners,
+      roundPlayers: playersToEvaluate, // whose cards were compared
       gameWinners: this.winners,
       players: Array.from(this.players.entries()).map(([id, player]) => ({
         id,
@@ -300,410 +1204,2249 @@ class GameRoom {
         score: player.score,
         isPicker: id === this.currentPicker,
         isCreator: player.isCreator,
+        isBot: player.isBot,
+        team: player.team,
       })),
       winners: this.winners,
       gameEnded,
       stat: selectedStat,
+      typeModifiers,
+      teams: this.getTeamStandings(),
+      teamValues,
       inTieBreaker: this.inTieBreaker,
       tieBreakPlayers: this.tieBreakPlayers,
     };
   }
 
-  async startGame() {
-    this.currentRound = 1;
+  // Type-effectiveness ruleset: each card's multiplier is the average of how
+  // its types match up against every other card in the round. The matchups
+  // are kept so clients can show why a card came out on top.
+  getTypeModifiers(playerIds) {
+    const typesOf = (id) => {
+      const pokemon = this.players.get(id).pokemon;
+      return pokemon.types || [pokemon.type];
+    };
+
+    const modifiers = {};
+    for (const playerId of playerIds) {
+      const matchups = playerIds
+        .filter((id) => id !== playerId)
+        .map((opponentId) => ({
+          opponentId,
+          multiplier: matchupMultiplier(typesOf(playerId), typesOf(opponentId)),
+        }));
+      const multiplier =
+        matchups.length > 0
+          ? matchups.reduce((sum, matchup) => sum + matchup.multiplier, 0) /
+            matchups.length
+          : 1;
+      modifiers[playerId] = { multiplier, matchups };
+    }
+    return modifiers;
+  }
+
+  startGame() {
+    return this.inDealingPhase(() => this.dealFirstRound());
+  }
+
+  // A first deal that fails puts back the last game's results and log, so
+  // the lobby is left as it was and nobody leaving it counts as a leaver
+  async dealFirstRound() {
+    this.clearNextRoundTimeout();
+    this.clearTurnTimer();
+    this.clearBotTimeout();
+    const lastGame = this.saveGameState();
+    try {
+      this.resetForNewGame();
+      return await this.dealRound();
+    } catch (err) {
+      this.restoreGameState(lastGame);
+      throw err;
+    }
+  }
+
+  resetForNewGame() {
+    this.currentRound = 1;
     this.winners = [];
+    this.teamScores = {};
     this.inTieBreaker = false;
     this.tieBreakPlayers = [];
     this.lastSelectedStat = null;
-    this.players.forEach((player) => {
+    this.pendingCommits = new Set();
+    this.seedDeck();
+    this.beginMatchLog();
+    for (const player of this.players.values()) {
       player.score = 0;
       player.pokemon = null;
+      // Draft hands are dealt along with the first round
+      player.hand = [];
+    }
+  }
+
+  // What resetForNewGame clears, for restoreGameState to put back
+  saveGameState() {
+    return {
+      currentRound: this.currentRound,
+      winners: this.winners,
+      teamScores: this.teamScores,
+      inTieBreaker: this.inTieBreaker,
+      tieBreakPlayers: this.tieBreakPlayers,
+      lastSelectedStat: this.lastSelectedStat,
+      pendingCommits: this.pendingCommits,
+      rng: this.rng,
+      deck: this.deck,
+      cardPool: this.cardPool,
+      matchLog: this.matchLog,
+      leavers: this.leavers,
+      players: Array.from(this.players, ([id, { score, pokemon, hand }]) => [
+        id,
+        { score, pokemon, hand },
+      ]),
+    };
+  }
+
+  restoreGameState({ players, ...state }) {
+    Object.assign(this, state);
+    for (const [id, saved] of players) {
+      const player = this.players.get(id);
+      if (player) Object.assign(player, saved);
+    }
+  }
+
+  // Picks the seed the coming game is dealt from and fixes its card pool.
+  // Only the seed's hash is shown until the game is over (see
+  // getSeedCommitment and revealSeed).
+  seedDeck() {
+    this.rng = new SeededRng(this.settings.seed || createSeed());
+    this.cardPool = buildCardPool(this.settings);
+    this.deck = new Deck(
+      this.rng,
+      this.cardPool,
+      this.settings.shinyChance,
+      fetchCard
+    );
+  }
+
+  // Whether the card pool could deal each player a different card
+  hasEnoughCards() {
+    return (
+      buildCardPool(this.settings).length >=
+      minPoolSize(this.settings, this.players.size)
+    );
+  }
+
+  getSeedCommitment() {
+    return {
+      seedHash: hashSeed(this.rng.seed),
+      fixedSeed: this.rng.seed === this.settings.seed,
+      poolSize: this.cardPool.length,
+    };
+  }
+
+  revealSeed() {
+    return { seed: this.rng.seed, seedHash: hashSeed(this.rng.seed) };
+  }
+
+  // Starts a fresh event log for the game about to be played. Each event
+  // gets a sequence number so a replay can step through them in order.
+  beginMatchLog() {
+    this.leavers = [];
+    this.matchLog = {
+      id: createMatchId(),
+      startedAt: Date.now(),
+      settings: this.settings,
+      players: Array.from(this.players.entries()).map(([id, player]) => ({
+        id,
+        name: player.name,
+        isBot: player.isBot,
+        profileId: player.profileId,
+        team: player.team,
+      })),
+      seedHash: hashSeed(this.rng.seed),
+      events: [],
+    };
+  }
+
+  logEvent(type, data = {}) {
+    if (!this.matchLog) return;
+    const { events } = this.matchLog;
+    events.push({ seq: events.length, type, at: Date.now(), ...data });
+  }
+
+  // Closes the log of the game that just ended and hands it over for the
+  // history; null if no game was being logged
+  finishMatchLog() {
+    const matchLog = this.matchLog;
+    this.matchLog = null;
+    if (!matchLog) return null;
+    return {
+      ...matchLog,
+      endedAt: Date.now(),
+      winners: this.winners,
+      seed: this.rng.seed,
+    };
+  }
+
+  // Everything needed to rebuild the room after a restart. Sockets and
+  // timers don't survive one, so only the due times of timers are kept.
+  // Spectators aren't kept either; they can just join again.
+  toSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      settings: this.settings,
+      players: Array.from(this.players.entries()).map(([id, player]) => ({
+        id,
+        name: player.name,
+        score: player.score,
+        pokemon: player.pokemon,
+        isCreator: player.isCreator,
+        isBackInRoom: player.isBackInRoom,
+        isBot: player.isBot,
+        botDifficulty: player.botDifficulty,
+        hand: player.hand,
+        profileId: player.profileId,
+        team: player.team,
+        isReady: player.isReady,
+      })),
+      phase: this.phase,
+      currentRound: this.currentRound,
+      currentPicker: this.currentPicker,
+      winners: this.winners,
+      teamScores: this.teamScores,
+      creator: this.creator,
+      inTieBreaker: this.inTieBreaker,
+      tieBreakPlayers: this.tieBreakPlayers,
+      lastSelectedStat: this.lastSelectedStat,
+      playerNames: Array.from(this.playerNames),
+      pendingCommits: Array.from(this.pendingCommits),
+      turnStage: this.turnStage,
+      nextRoundAt: this.nextRoundAt,
+      matchLog: this.matchLog,
+      leavers: this.leavers,
+      tournamentMatch: this.tournamentMatch,
+      passwordHash: this.passwordHash,
+      locked: this.locked,
+      invites: Array.from(this.invites),
+      chat: this.chat.toSnapshot(),
+      // Cards fetched ahead for the next round are picked again on restore
+      rng: this.rng && { seed: this.rng.seed, draws: this.deck.dealtDraws },
+    };
+  }
+
+  // The whole room for the admin API (routes/admin.js), less what even an
+  // operator shouldn't see: the password hash, and the seed of a game that's
+  // still being dealt from, fixed or not
+  toAdminView() {
+    const { version, passwordHash, rng, ...state } = this.toSnapshot();
+    return {
+      ...state,
+      settings: this.getPublicSettings(),
+      matchLog: state.matchLog && {
+        ...state.matchLog,
+        settings: this.getPublicSettings(),
+      },
+      players: state.players.map((player) => ({
+        ...player,
+        isConnected: this.isConnected(player.id),
+      })),
+      spectators: this.getSpectators(),
+      hasPassword: passwordHash !== null,
+      seedHash: rng && hashSeed(rng.seed),
+      turnDeadline: this.turnDeadline,
+      vote: this.getVoteView(),
+    };
+  }
+
+  // Rebuilds a room from toSnapshot(). Every human comes back disconnected
+  // until they rejoin; resumeRoom() re-arms the timers.
+  static fromSnapshot(snapshot) {
+    const gameRoom = new GameRoom(snapshot.settings);
+    // Set directly: the constructor would clamp maxWinners for an empty room.
+    // Its defaults still fill in settings added since the snapshot was taken.
+    gameRoom.settings = { ...gameRoom.settings, ...snapshot.settings };
+    for (const { id, ...player } of snapshot.players) {
+      gameRoom.players.set(id, {
+        ...player,
+        isConnected: player.isBot,
+        socketId: null,
+      });
+    }
+    gameRoom.phase = snapshot.phase;
+    gameRoom.currentRound = snapshot.currentRound;
+    gameRoom.currentPicker = snapshot.currentPicker;
+    gameRoom.winners = snapshot.winners;
+    gameRoom.teamScores = snapshot.teamScores ?? {};
+    gameRoom.creator = snapshot.creator;
+    gameRoom.inTieBreaker = snapshot.inTieBreaker;
+    gameRoom.tieBreakPlayers = snapshot.tieBreakPlayers;
+    gameRoom.lastSelectedStat = snapshot.lastSelectedStat;
+    gameRoom.playerNames = new Set(snapshot.playerNames);
+    gameRoom.pendingCommits = new Set(snapshot.pendingCommits);
+    gameRoom.turnStage = snapshot.turnStage;
+    gameRoom.nextRoundAt = snapshot.nextRoundAt;
+    gameRoom.matchLog = snapshot.matchLog;
+    gameRoom.leavers = snapshot.leavers ?? [];
+    gameRoom.tournamentMatch = snapshot.tournamentMatch ?? null;
+    gameRoom.passwordHash = snapshot.passwordHash ?? null;
+    gameRoom.locked = snapshot.locked ?? false;
+    gameRoom.invites = new Map(snapshot.invites);
+    gameRoom.chat = RoomChat.fromSnapshot(snapshot.chat);
+    if (snapshot.rng) {
+      gameRoom.rng = new SeededRng(snapshot.rng.seed, snapshot.rng.draws);
+      gameRoom.cardPool = buildCardPool(gameRoom.settings);
+      gameRoom.deck = new Deck(
+        gameRoom.rng,
+        gameRoom.cardPool,
+        gameRoom.settings.shinyChance,
+        fetchCard
+      );
+    }
+    return gameRoom;
+  }
+}
+// Seats a socket as a player: it joins the room channel plus a private
+// channel named after the player id, so io.to(playerId) reaches the player
+// whichever socket they are on. Any older socket still holding the seat
+// (e.g. a tab that was reloaded) is dropped from it. A socket is only ever
+// seated in one room, so one seated somewhere else leaves there first, the
+// same as if it had sent leaveRoom.
+function attachSocket(socket, roomCode, gameRoom, playerId) {
+  const { roomCode: earlierCode, playerId: earlierId } = socket.data;
+  if (earlierCode && (earlierCode !== roomCode || earlierId !== playerId)) {
+    const earlierRoom = gameRooms.get(earlierCode);
+    if (earlierRoom?.findMember(earlierId)) {
+      leaveRoom(socket, earlierCode, earlierRoom, earlierId);
+    } else {
+      detachSocket(socket, earlierCode, earlierId);
+    }
+  }
+
+  const player = gameRoom.findMember(playerId);
+  if (player.socketId && player.socketId !== socket.id) {
+    const oldSocket = io.sockets.sockets.get(player.socketId);
+    if (oldSocket) {
+      detachSocket(oldSocket, roomCode, playerId);
+      oldSocket.emit("sessionReplaced", { roomCode });
+    }
+  }
+  player.socketId = socket.id;
+  socket.data.roomCode = roomCode;
+  socket.data.playerId = playerId;
+  socket.join(roomCode);
+  socket.join(playerId);
+}
+
+function detachSocket(socket, roomCode, playerId) {
+  socket.leave(roomCode);
+  socket.leave(playerId);
+  socket.data.roomCode = null;
+  socket.data.playerId = null;
+}
+
+// The stable id of the player this socket is seated as in roomCode, if any
+const playerIdFor = (socket, roomCode) =>
+  socket.data.roomCode === roomCode ? socket.data.playerId : null;
+
+// Rooms with a snapshot waiting to be written
+const dirtyRooms = new Set();
+
+// Snapshots the room once the current batch of changes is done; a room
+// that no longer exists is removed from the store instead. Cheap to call
+// after anything that changes a room.
+function persistRoom(roomCode) {
+  if (!roomStore || !roomCode || dirtyRooms.has(roomCode)) return;
+  dirtyRooms.add(roomCode);
+  setImmediate(() => {
+    dirtyRooms.delete(roomCode);
+    const gameRoom = gameRooms.get(roomCode);
+    const write = gameRoom
+      ? roomStore.save(roomCode, gameRoom.toSnapshot())
+      : roomStore.remove(roomCode);
+    write.catch((err) => {
+      console.error(`Failed to persist room ${roomCode}:`, err.message);
+    });
+  });
+}
+
+// Removes a player from the room for good and tells everyone left behind.
+// reason is "left" when a player leaves or a disconnected player's grace
+// runs out, "kicked" when they're kicked (see kickFromRoom).
+function removePlayerFromRoom(roomCode, gameRoom, playerId, reason = "left") {
+  // Get the leaving player's data before removing
+  const leavingPlayer = gameRoom.players.get(playerId);
+  if (!leavingPlayer) return;
+  const wasCreator = leavingPlayer.isCreator;
+
+  // Walking out of a tournament match, or being kicked from one, forfeits it
+  if (gameRoom.tournamentMatch && gameRoom.phase !== "ended") {
+    forfeitTournamentMatch(roomCode, gameRoom, playerId);
+    return;
+  }
+  gameRoom.recordLeaver(playerId);
+
+  // If they were mid-pick, hand the pick on before their seat disappears
+  let pickerChanged = false;
+  if (gameRoom.phase === "picking" && gameRoom.currentPicker === playerId) {
+    pickerChanged = gameRoom.passPicker() !== null;
+  }
+
+  // Clear the leaving player's name
+  gameRoom.clearPlayerName(playerId);
+  gameRoom.removePlayer(playerId);
+
+  if (!gameRoom.hasHumanPlayers()) {
+    // If room is empty (or only bots are left), delete the room. Spectators
+    // can't keep a room going on their own.
+    closeRoom(roomCode, gameRoom, "empty");
+    return;
+  }
+
+  // If the creator left, assign a new one
+  let newCreatorId = null;
+  if (wasCreator) {
+    newCreatorId = gameRoom.assignNewCreator();
+  }
+
+  if (reason === "kicked") {
+    io.to(roomCode).emit("playerKicked", {
+      kickedId: playerId,
+      newCreatorId,
+      currentPicker: gameRoom.currentPicker,
+      players: gameRoom.getLobbyPlayers(),
+    });
+  } else {
+    io.to(roomCode).emit("playerLeft", {
+      playerId,
+      leftPlayer: { name: leavingPlayer.name },
+      newCreatorId,
+      currentPicker: gameRoom.currentPicker,
+      players: gameRoom.getLobbyPlayers(),
+    });
+  }
+  persistRoom(roomCode);
+
+  // The new picker gets a full turn rather than what was left of the old one
+  if (pickerChanged && gameRoom.turnStage === "pick") {
+    startPickerTurn(roomCode, gameRoom);
+  }
+  // Their card may have been the last one the round was waiting for
+  finishCommitsIfDone(roomCode, gameRoom);
+  afterPlayerGone(roomCode, gameRoom);
+}
+
+// Takes a player or spectator out of the room for good, along with their
+// socket
+function leaveRoom(socket, roomCode, gameRoom, playerId) {
+  if (gameRoom.spectators.has(playerId)) {
+    removeSpectator(roomCode, gameRoom, playerId);
+  } else {
+    removePlayerFromRoom(roomCode, gameRoom, playerId);
+  }
+  detachSocket(socket, roomCode, playerId);
+}
+
+// Shuts the room down for good and sends away everyone still in it.
+// reason is "empty" when the last player left, "closedByAdmin" when an
+// operator closed it. A tournament match can't just disappear from its
+// bracket, so one still being played goes to whoever is ahead.
+function closeRoom(roomCode, gameRoom, reason) {
+  if (gameRoom.tournamentMatch) {
+    finishTournamentMatch(roomCode, gameRoom, matchLeader(gameRoom), reason);
+    return;
+  }
+  gameRoom.clearAllTimers();
+  gameRooms.delete(roomCode);
+  persistRoom(roomCode);
+  io.to(roomCode).emit("roomClosed", { roomCode, reason });
+  for (const socketId of Array.from(
+    io.sockets.adapter.rooms.get(roomCode) ?? []
+  )) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) detachSocket(socket, roomCode, socket.data.playerId);
+  }
+}
+
+// Removes a player or spectator from the room against their will. Used by
+// the Gym Leader's kickPlayer and by the admin API, which can also kick the
+// Gym Leader.
+function kickFromRoom(roomCode, gameRoom, playerId) {
+  const member = gameRoom.findMember(playerId);
+  io.to(playerId).emit("youWereKicked");
+  const kickedSocket = io.sockets.sockets.get(member.socketId);
+  if (kickedSocket) detachSocket(kickedSocket, roomCode, playerId);
+
+  if (gameRoom.spectators.has(playerId)) {
+    removeSpectator(roomCode, gameRoom, playerId);
+  } else {
+    removePlayerFromRoom(roomCode, gameRoom, playerId, "kicked");
+  }
+}
+
+// Tells the room the Gym Leader has changed hands, after a transferCreator
+// or a takeLead vote
+function announceCreatorTransfer(
+  roomCode,
+  gameRoom,
+  previousCreatorId,
+  newCreatorId
+) {
+  // For room-phase, we assume both should be marked as 'back in room'
+  const oldCreator = gameRoom.players.get(previousCreatorId);
+  const newCreator = gameRoom.players.get(newCreatorId);
+  if (oldCreator) oldCreator.isBackInRoom = true;
+  if (newCreator) newCreator.isBackInRoom = true;
+  gameRoom.returnToLobbyIfAllBack();
+
+  io.to(roomCode).emit("creatorTransferred", {
+    previousCreatorId,
+    newCreatorId,
+    players: Array.from(gameRoom.players.entries()).map(([id, player]) => ({
+      id,
+      name: player.name,
+      score: player.score,
+      isCreator: player.isCreator,
+      isBot: player.isBot,
+      isBackInRoom: player.isBackInRoom, // now included!
+    })),
+  });
+}
+
+// Starts the picker's countdown and tells the room about it. When it runs
+// out the server picks the stat itself and resolves the round as usual.
+// Bot pickers make their choice after a short pause.
+function startPickerTurn(roomCode, gameRoom) {
+  gameRoom.turnStage = "pick";
+  dropStaleVote(roomCode, gameRoom);
+  scheduleBotPick(roomCode, gameRoom);
+
+  const deadline = gameRoom.startTurnTimer(
+    (secondsLeft) => io.to(roomCode).emit("turnCountdown", { secondsLeft }),
+    () => {
+      if (gameRoom.phase !== "picking") return;
+      const stat = gameRoom.chooseAutoStat();
+      gameRoom.logEvent("statAutoSelected", {
+        picker: gameRoom.currentPicker,
+        stat,
+        strategy: gameRoom.settings.autoPickStrategy,
+      });
+      io.to(roomCode).emit("statAutoSelected", {
+        picker: gameRoom.currentPicker,
+        stat,
+        strategy: gameRoom.settings.autoPickStrategy,
+      });
+      completeRound(roomCode, gameRoom, stat);
+    }
+  );
+  if (deadline) {
+    io.to(roomCode).emit("turnTimerStarted", {
+      stage: "pick",
+      currentPicker: gameRoom.currentPicker,
+      turnTimeLimit: gameRoom.settings.turnTimeLimit,
+      deadline,
+    });
+  }
+}
+
+function scheduleBotPick(roomCode, gameRoom) {
+  gameRoom.clearBotTimeout();
+  const botId = gameRoom.currentPicker;
+  const bot = gameRoom.players.get(botId);
+  if (!bot?.isBot) return;
+
+  gameRoom.botTimeoutId = setTimeout(() => {
+    gameRoom.botTimeoutId = null;
+    if (gameRoom.phase !== "picking" || gameRoom.currentPicker !== botId)
+      return;
+    completeRound(
+      roomCode,
+      gameRoom,
+      chooseBotStat(
+        bot.botDifficulty,
+        bot.pokemon,
+        gameRoom.settings.allowedStats
+      )
+    );
+  }, BOT_THINK_MS);
+}
+
+// Draft mode: records a player's committed card and, once the last one is
+// in, hands over to the picker
+function applyCommit(roomCode, gameRoom, playerId, cardIndex) {
+  if (!gameRoom.commitCard(playerId, cardIndex)) return false;
+
+  io.to(playerId).emit("handUpdated", {
+    hand: gameRoom.players.get(playerId).hand,
+    committedCard: gameRoom.players.get(playerId).pokemon,
+  });
+  io.to(roomCode).emit("cardCommitted", {
+    playerId,
+    pendingCommits: Array.from(gameRoom.pendingCommits),
+  });
+  persistRoom(roomCode);
+  finishCommitsIfDone(roomCode, gameRoom);
+  return true;
+}
+
+function finishCommitsIfDone(roomCode, gameRoom) {
+  if (!gameRoom.isDraft() || gameRoom.phase !== "picking") return;
+  if (!gameRoom.allCardsCommitted() || gameRoom.turnStage === "pick") return;
+
+  gameRoom.clearTurnTimer();
+  gameRoom.clearBotTimeout();
+  gameRoom.turnStage = "pick";
+  io.to(roomCode).emit("allCardsCommitted", {
+    currentPicker: gameRoom.currentPicker,
+  });
+  startPickerTurn(roomCode, gameRoom);
+}
+
+// Commits a random card for a player who can't or didn't choose in time
+function autoCommit(roomCode, gameRoom, playerId) {
+  const hand = gameRoom.players.get(playerId)?.hand || [];
+  applyCommit(
+    roomCode,
+    gameRoom,
+    playerId,
+    Math.floor(Math.random() * hand.length)
+  );
+}
+
+// Draft mode: gives everyone the turn time to commit a card. Bots commit
+// after a short pause, disconnected players get a random card straight away
+// and so does anyone still undecided when the time runs out.
+function startCommitPhase(roomCode, gameRoom) {
+  gameRoom.turnStage = "commit";
+
+  for (const playerId of gameRoom.pendingCommits) {
+    io.to(playerId).emit("handUpdated", {
+      hand: gameRoom.players.get(playerId).hand,
+      committedCard: null,
+    });
+  }
+
+  startCommitTimer(roomCode, gameRoom);
+
+  for (const playerId of Array.from(gameRoom.pendingCommits)) {
+    if (!gameRoom.isConnected(playerId)) {
+      autoCommit(roomCode, gameRoom, playerId);
+    }
+  }
+  finishCommitsIfDone(roomCode, gameRoom);
+}
+
+// The commit countdown, plus the bots' commits after their pause
+function startCommitTimer(roomCode, gameRoom) {
+  const deadline = gameRoom.startTurnTimer(
+    (secondsLeft) => io.to(roomCode).emit("turnCountdown", { secondsLeft }),
+    () => {
+      for (const playerId of Array.from(gameRoom.pendingCommits)) {
+        autoCommit(roomCode, gameRoom, playerId);
+      }
+    }
+  );
+  if (deadline) {
+    io.to(roomCode).emit("turnTimerStarted", {
+      stage: "commit",
+      pendingCommits: Array.from(gameRoom.pendingCommits),
+      turnTimeLimit: gameRoom.settings.turnTimeLimit,
+      deadline,
+    });
+  }
+
+  gameRoom.clearBotTimeout();
+  gameRoom.botTimeoutId = setTimeout(() => {
+    gameRoom.botTimeoutId = null;
+    for (const playerId of Array.from(gameRoom.pendingCommits)) {
+      const bot = gameRoom.players.get(playerId);
+      if (bot?.isBot) {
+        applyCommit(
+          roomCode,
+          gameRoom,
+          playerId,
+          chooseBotCard(
+            bot.botDifficulty,
+            bot.hand,
+            gameRoom.settings.allowedStats
+          )
+        );
+      }
+    }
+  }, BOT_THINK_MS);
+}
+
+// Each player gets their own view of the round: their card face up, every
+// other card face down until roundComplete reveals them all.
+function emitRoundStarted(roomCode, gameRoom, state) {
+  gameRoom.chat.clearRoundOutcome();
+  for (const playerId of gameRoom.players.keys()) {
+    io.to(playerId).emit("roundStarted", {
+      ...state,
+      players: gameRoom.projectPlayersFor(state.players, playerId),
+    });
+  }
+  // Spectators see every card face down until the reveal, so watching
+  // can't be used to peek at anyone's hand
+  for (const spectatorId of gameRoom.spectators.keys()) {
+    io.to(spectatorId).emit("roundStarted", {
+      ...state,
+      players: gameRoom.projectPlayersFor(state.players, null),
+    });
+  }
+  persistRoom(roomCode);
+  if (gameRoom.isDraft()) {
+    startCommitPhase(roomCode, gameRoom);
+  } else {
+    startPickerTurn(roomCode, gameRoom);
+  }
+}
+
+// Scores the selected stat, reports the result and queues the next round
+function completeRound(roomCode, gameRoom, stat) {
+  gameRoom.clearTurnTimer();
+  gameRoom.clearBotTimeout();
+  const gameState = gameRoom.evaluateRound(stat);
+  metrics.recordRound();
+
+  // If game has ended, clear all player names
+  if (gameState.gameEnded) {
+    // Mark all players as not in the room using gameRoom.players. Bots
+    // have nowhere to go back from, so they stay in.
+    for (const [id, p] of gameRoom.players.entries()) {
+      p.isBackInRoom = p.isBot;
+    }
+    // Clear all playerNames from the game room
+    gameRoom.clearAllPlayerNames();
+  }
+
+  if (gameState.gameEnded) gameRoom.setPhase("ended");
+
+  // Opens up the emotes that react to how the round went, for the players
+  // who played it; anyone who sat it out has nothing to react to
+  gameRoom.chat.setRoundOutcome(gameState.roundWinners, gameState.roundPlayers);
+
+  io.to(roomCode).emit("roundComplete", {
+    roundWinners: gameState.roundWinners,
+    gameWinners: gameState.gameWinners,
+    stat,
+    typeModifiers: gameState.typeModifiers,
+    players: gameState.players,
+    teams: gameState.teams,
+    teamValues: gameState.teamValues,
+    gameEnded: gameState.gameEnded,
+    phase: gameRoom.phase,
+  });
+
+  if (gameState.gameEnded) {
+    // Lets anyone check every card dealt against the hash from the start
+    io.to(roomCode).emit("seedRevealed", gameRoom.revealSeed());
+    recordMatch(roomCode, gameRoom);
+    if (gameRoom.tournamentMatch) {
+      finishTournamentMatch(roomCode, gameRoom, gameState.gameWinners[0]);
+    }
+  } else {
+    queueNextRound(roomCode, gameRoom, NEXT_ROUND_DELAY_MS);
+  }
+  persistRoom(roomCode);
+}
+
+// Moves the finished game's log into the match history and rates it
+function recordMatch(roomCode, gameRoom) {
+  const matchLog = gameRoom.finishMatchLog();
+  if (!matchLog) return;
+  matchHistory.record({ ...matchLog, roomCode }).catch((err) => {
+    console.error(`Failed to record match ${matchLog.id}:`, err.message);
+  });
+  updateRatings(roomCode, gameRoom, matchLog);
+}
+
+// Updates the profile of everyone who played with one, then tells the room
+// how their ratings moved. Players who left before the end are rated as
+// having forfeited, unless they've since come back to the room with the same
+// profile and been rated on their new seat.
+function updateRatings(roomCode, gameRoom, matchLog) {
+  const statPicks = countStatPicks(matchLog);
+  const seated = Array.from(gameRoom.players.entries()).map(([id, player]) => ({
+    id,
+    profileId: player.profileId,
+    score: player.score,
+    team: player.team,
+    statPicks: statPicks[id] || {},
+  }));
+  const seatedProfiles = seated.map(({ profileId }) => profileId);
+  const forfeited = gameRoom.leavers
+    .filter(
+      ({ profileId }) => !profileId || !seatedProfiles.includes(profileId)
+    )
+    .map((leaver) => ({
+      ...leaver,
+      statPicks: statPicks[leaver.id] || {},
+      forfeited: true,
+    }));
+  const ratings = profiles.recordGame(gameRoom.winners, [
+    ...seated,
+    ...forfeited,
+  ]);
+  if (Object.keys(ratings).length > 0) {
+    io.to(roomCode).emit("ratingsUpdated", { ratings });
+  }
+}
+
+// The id of the profile a player is signing in with, if any. A token for a
+// profile that doesn't exist is an error rather than a silent guest seat.
+function resolveProfile(profileToken) {
+  if (!profileToken) return null;
+  const profile = profiles.get(verifyProfileToken(profileToken));
+  if (!profile) {
+    throw new SocketError(
+      ERROR_CODES.PROFILE_NOT_FOUND,
+      "That profile doesn't exist.",
+      { field: "profileToken" }
+    );
+  }
+  return profile.id;
+}
+
+// Refuses settings whose card pool is too small to deal each of the room's
+// players a different card
+function checkCardPool(settings, playerCount) {
+  const poolSize = buildCardPool(settings).length;
+  const needed = minPoolSize(settings, playerCount);
+  if (poolSize < needed) {
+    throw new SocketError(
+      ERROR_CODES.POOL_TOO_SMALL,
+      `Those card filters leave ${poolSize} Pokémon, but this room needs at least ${needed}.`,
+      { poolSize, needed }
+    );
+  }
+}
+
+// Everything startGame and rematch need before a game can start
+function checkCanStart(gameRoom) {
+  if (gameRoom.phase === "ended") {
+    throw new SocketError(
+      ERROR_CODES.PLAYERS_NOT_BACK,
+      "Not all players have returned to the room. Wait until everyone is back."
+    );
+  }
+  checkCardPool(gameRoom.settings, gameRoom.players.size);
+  checkTeams(gameRoom);
+}
+
+// Team mode can't start until the teams are filled out evenly
+function checkTeams(gameRoom) {
+  const problem = gameRoom.getTeamProblem();
+  if (problem) throw new SocketError(ERROR_CODES.TEAMS_NOT_READY, problem);
+}
+
+// Published before the first card of a game goes out, so the seed can't be
+// swapped once players have seen what they were dealt
+function emitSeedCommitted(roomCode, gameRoom) {
+  io.to(roomCode).emit("seedCommitted", gameRoom.getSeedCommitment());
+}
+
+// Tells the room whenever it moves to another phase
+function watchPhase(roomCode, gameRoom) {
+  gameRoom.onPhaseChange = (phase) => {
+    io.to(roomCode).emit("phaseChanged", {
+      phase,
+      nextRoundAt: gameRoom.nextRoundAt,
+    });
+    dropStaleVote(roomCode, gameRoom);
+  };
+}
+
+function queueNextRound(roomCode, gameRoom, delayMs) {
+  gameRoom.scheduleNextRound(() => dealNextRound(roomCode, gameRoom), delayMs);
+}
+
+async function dealNextRound(roomCode, gameRoom) {
+  let newState;
+  try {
+    newState = await gameRoom.startNewRound();
+  } catch (err) {
+    // The picker may be a bot or gone, so the round is queued again
+    // rather than left waiting on their nextRound
+    if (gameRooms.get(roomCode) === gameRoom) {
+      queueNextRound(roomCode, gameRoom, DEAL_RETRY_MS);
+    }
+    emitDealFailed(roomCode, gameRoom, err);
+    return;
+  }
+  // The room may have closed while the cards were on their way
+  if (gameRooms.get(roomCode) !== gameRoom) return;
+  emitRoundStarted(roomCode, gameRoom, newState);
+}
+
+// A deal fails as a whole when the card provider can't be reached, leaving
+// the room as it was before (see GameRoom.inDealingPhase). The Gym Leader
+// can start a game again with startGame; a round between rounds is tried
+// again at nextRoundAt, or sooner if the picker sends nextRound.
+function emitDealFailed(roomCode, gameRoom, err) {
+  console.error(`Dealing failed in room ${roomCode}:`, err.message);
+  io.to(roomCode).emit("dealFailed", {
+    phase: gameRoom.phase,
+    nextRoundAt: gameRoom.nextRoundAt,
+    message: "The cards couldn't be dealt. Please try again.",
+  });
+  persistRoom(roomCode);
+}
+
+// Picks a restored room back up where it was snapshotted. Humans get the
+// usual grace period to rejoin with their session token, and whatever was
+// running when the server went down starts again.
+function resumeRoom(roomCode, gameRoom) {
+  for (const [playerId, player] of gameRoom.players) {
+    if (player.isBot) continue;
+    gameRoom.markDisconnected(
+      playerId,
+      () => removePlayerFromRoom(roomCode, gameRoom, playerId),
+      DISCONNECT_GRACE_MS
+    );
+  }
+
+  if (gameRoom.phase === "dealing") {
+    // The deal was cut off part way, so it's dealt again from the top
+    gameRoom.phase = "intermission";
+    gameRoom.nextRoundAt = Date.now();
+  }
+  if (gameRoom.tournamentMatch && gameRoom.phase === "lobby") {
+    // A match room has no Gym Leader to start it, and its first deal
+    // hadn't gone through yet
+    startMatch(roomCode, gameRoom);
+  } else if (gameRoom.nextRoundAt) {
+    queueNextRound(
+      roomCode,
+      gameRoom,
+      Math.max(0, gameRoom.nextRoundAt - Date.now())
+    );
+  } else if (gameRoom.phase === "picking") {
+    // The turn starts over in full; nobody can be back yet to use it
+    if (gameRoom.turnStage === "commit") {
+      startCommitTimer(roomCode, gameRoom);
+      finishCommitsIfDone(roomCode, gameRoom);
+    } else {
+      startPickerTurn(roomCode, gameRoom);
+    }
+  }
+}
+
+// Loads every saved room back into gameRooms. Runs before the server starts
+// listening, so nobody can create a room with a code that's being restored.
+async function restoreRooms() {
+  if (!roomStore) return;
+  if (!process.env.SESSION_SECRET) {
+    console.warn(
+      "SESSION_SECRET is not set, so session and profile tokens won't survive a restart."
+    );
+  }
+
+  for (const { roomCode, snapshot } of await roomStore.loadAll()) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      console.warn(`Skipping room ${roomCode}: unknown snapshot version`);
+      continue;
+    }
+    const gameRoom = GameRoom.fromSnapshot(snapshot);
+    if (!gameRoom.hasHumanPlayers()) {
+      roomStore.remove(roomCode).catch(() => {});
+      continue;
+    }
+    watchPhase(roomCode, gameRoom);
+    gameRooms.set(roomCode, gameRoom);
+    resumeRoom(roomCode, gameRoom);
+  }
+  if (gameRooms.size > 0) {
+    console.log(
+      `Restored ${gameRooms.size} room(s) from ${roomStore.name} store`
+    );
+  }
+}
+
+// Opens a new room with the socket's player as its Gym Leader
+function openRoom(socket, playerName, settings, profileId) {
+  const roomCode = createRoomCode(isCodeTaken);
+  const gameRoom = new GameRoom(settings);
+  checkCardPool(gameRoom.settings, 1);
+  watchPhase(roomCode, gameRoom);
+  const playerId = createPlayerId();
+  const player = gameRoom.addPlayer(playerId, playerName, true, profileId);
+  gameRooms.set(roomCode, gameRoom);
+  attachSocket(socket, roomCode, gameRoom, playerId);
+  socket.emit("roomCreated", {
+    roomCode,
+    playerId,
+    sessionToken: createSessionToken({ roomCode, playerId }),
+    players: [
+      {
+        id: playerId,
+        name: playerName,
+        isCreator: true,
+        score: 0,
+        isBackInRoom: player.isBackInRoom,
+        isReady: player.isReady,
+        profileId,
+      },
+    ],
+    phase: gameRoom.phase,
+  });
+  return roomCode;
+}
+
+// Gives the socket a new seat in an existing room and tells everyone
+function seatNewPlayer(socket, roomCode, gameRoom, playerName, profileId) {
+  const playerId = createPlayerId();
+  gameRoom.addPlayer(playerId, playerName, false, profileId);
+  attachSocket(socket, roomCode, gameRoom, playerId);
+  socket.emit("gameStateUpdate", {
+    roomCode,
+    playerId,
+    sessionToken: createSessionToken({ roomCode, playerId }),
+    players: gameRoom.getLobbyPlayers(),
+    chat: gameRoom.chat.getHistory(),
+    mutedIds: gameRoom.chat.getMuted(),
+    phase: gameRoom.phase,
+    vote: gameRoom.getVoteView(),
+  });
+  io.to(roomCode).emit("playerJoined", {
+    players: gameRoom.getLobbyPlayers(),
+  });
+}
+
+// Lets the socket watch the room without playing
+function seatSpectator(socket, roomCode, gameRoom, name, profileId) {
+  const spectatorId = createPlayerId();
+  gameRoom.addSpectator(spectatorId, name, profileId);
+  attachSocket(socket, roomCode, gameRoom, spectatorId);
+  socket.emit("gameStateUpdate", {
+    roomCode,
+    playerId: spectatorId,
+    sessionToken: createSessionToken({ roomCode, playerId: spectatorId }),
+    isSpectator: true,
+    players: gameRoom.projectPlayersFor(gameRoom.getTablePlayers(), null),
+    spectators: gameRoom.getSpectators(),
+    currentRound: gameRoom.currentRound,
+    currentPicker: gameRoom.currentPicker,
+    chat: gameRoom.chat.getHistory(),
+    mutedIds: gameRoom.chat.getMuted(),
+    phase: gameRoom.phase,
+    vote: gameRoom.getVoteView(),
+  });
+  io.to(roomCode).emit("spectatorJoined", {
+    spectators: gameRoom.getSpectators(),
+  });
+}
+
+function removeSpectator(roomCode, gameRoom, spectatorId) {
+  gameRoom.removeSpectator(spectatorId);
+  io.to(roomCode).emit("spectatorLeft", {
+    spectatorId,
+    spectators: gameRoom.getSpectators(),
+  });
+}
+
+function emitTeams(roomCode, gameRoom) {
+  io.to(roomCode).emit("teamsUpdated", {
+    teams: gameRoom.getTeamStandings(),
+    players: gameRoom.getLobbyPlayers(),
+  });
+}
+
+// Muted players can still watch, but not talk
+function checkCanChat(gameRoom, playerId) {
+  if (gameRoom.chat.isMuted(playerId)) {
+    throw new SocketError(
+      ERROR_CODES.CHAT_MUTED,
+      "The Gym Leader has muted you in this room."
+    );
+  }
+}
+
+const chatRateLimited = () =>
+  new SocketError(
+    ERROR_CODES.CHAT_RATE_LIMITED,
+    "You're sending messages too quickly. Wait a few seconds."
+  );
+
+// Adds a text or emote message to the room's chat and sends it to everyone
+function postChatMessage(roomCode, gameRoom, senderId, content) {
+  const message = gameRoom.chat.post({
+    senderId,
+    senderName: gameRoom.findMember(senderId).name,
+    isSpectator: gameRoom.spectators.has(senderId),
+    ...content,
+  });
+  io.to(roomCode).emit("chatMessage", { message });
+}
+
+// Every room, for the admin API
+function listAllRooms() {
+  return Array.from(gameRooms.entries()).map(([roomCode, gameRoom]) => ({
+    roomCode,
+    ...gameRoom.getSummary(),
+    players: gameRoom.getLobbyPlayers(),
+  }));
+}
+
+// Public rooms that are taking new players, for the room browser. Rooms
+// still in their lobby come first, fullest first, since those are the ones
+// to join.
+function listOpenRooms() {
+  return Array.from(gameRooms.entries())
+    .filter(
+      ([, gameRoom]) =>
+        gameRoom.settings.visibility === "public" &&
+        !gameRoom.isFull() &&
+        !gameRoom.locked
+    )
+    .map(([roomCode, gameRoom]) => ({ roomCode, ...gameRoom.getSummary() }))
+    .sort(
+      (a, b) =>
+        GAME_PHASES.includes(a.phase) - GAME_PHASES.includes(b.phase) ||
+        b.playerCount - a.playerCount
+    );
+}
+
+// The public lobby a quick-matching player should join, if there is one
+// they can sit in
+function findQuickMatchRoom(playerName, profileId) {
+  const room = listOpenRooms().find(({ roomCode, phase }) => {
+    const gameRoom = gameRooms.get(roomCode);
+    return (
+      phase === "lobby" &&
+      !gameRoom.passwordHash &&
+      !gameRoom.isNameInUse(playerName) &&
+      !(profileId && gameRoom.hasProfile(profileId))
+    );
+  });
+  return room ? room.roomCode : null;
+}
+
+function emitRoomAccess(roomCode, gameRoom) {
+  io.to(roomCode).emit("roomAccessUpdated", {
+    locked: gameRoom.locked,
+    hasPassword: gameRoom.passwordHash !== null,
+  });
+}
+
+const tournamentChannel = (tournamentCode) => `tournament:${tournamentCode}`;
+
+// Sent to everyone registered whenever the bracket changes. Eliminated
+// players stay registered, so they keep following it.
+function emitTournament(tournamentCode, tournament) {
+  io.to(tournamentChannel(tournamentCode)).emit("tournamentUpdated", {
+    tournamentCode,
+    tournament: tournament.toView(),
+  });
+}
+
+// A player's seed comes from their profile rating, if they have one
+const entrantDetails = (profileId) => ({
+  profileId,
+  rating: profileId ? profiles.get(profileId).rating : null,
+});
+
+// Makes the socket the one following the tournament for playerId. A socket
+// can follow a tournament and sit in one of its match rooms at once.
+function attachTournamentSocket(socket, tournamentCode, tournament, playerId) {
+  const entrant = tournament.players.get(playerId);
+  if (entrant.socketId && entrant.socketId !== socket.id) {
+    const oldSocket = io.sockets.sockets.get(entrant.socketId);
+    if (oldSocket) {
+      detachTournamentSocket(oldSocket, tournamentCode);
+      oldSocket.emit("sessionReplaced", { tournamentCode });
+    }
+  }
+  entrant.socketId = socket.id;
+  tournament.clearDisconnectTimeout(playerId);
+  socket.data.tournamentCode = tournamentCode;
+  socket.data.tournamentPlayerId = playerId;
+  socket.join(tournamentChannel(tournamentCode));
+}
+
+function detachTournamentSocket(socket, tournamentCode) {
+  socket.leave(tournamentChannel(tournamentCode));
+  socket.data.tournamentCode = null;
+  socket.data.tournamentPlayerId = null;
+}
+
+// Takes a player out of a tournament that's still registering, and drops
+// the tournament once nobody is left in it, like an empty room
+function removeEntrant(tournamentCode, tournament, playerId) {
+  tournament.unregister(playerId);
+  if (tournament.players.size === 0) {
+    tournament.clearAllTimers();
+    tournaments.delete(tournamentCode);
+    return;
+  }
+  emitTournament(tournamentCode, tournament);
+}
+
+// The tournament and the socket's player in it, for tournament events
+function findEntrant(socket, tournamentCode) {
+  const tournament = tournaments.get(tournamentCode);
+  if (!tournament) {
+    throw new SocketError(
+      ERROR_CODES.TOURNAMENT_NOT_FOUND,
+      "Tournament not found"
+    );
+  }
+  const playerId =
+    socket.data.tournamentCode === tournamentCode
+      ? socket.data.tournamentPlayerId
+      : null;
+  if (!tournament.players.has(playerId)) {
+    throw new SocketError(
+      ERROR_CODES.NOT_IN_ROOM,
+      "You are not in this tournament."
+    );
+  }
+  return { tournament, playerId };
+}
+
+// What a player needs to take their seat in a match room, or to get it back
+// after reconnecting
+function matchTicket(tournamentCode, match, playerId) {
+  return {
+    tournamentCode,
+    matchId: match.id,
+    roomCode: match.roomCode,
+    playerId,
+    sessionToken: createSessionToken({ roomCode: match.roomCode, playerId }),
+  };
+}
+
+// Opens a room for every match the bracket has ready and starts its game.
+// Players following the tournament are seated straight away; anyone who
+// isn't connected gets the usual grace period to rejoin before forfeiting.
+function launchReadyMatches(tournamentCode, tournament) {
+  for (const match of tournament.getReadyMatches()) {
+    const roomCode = createRoomCode(isCodeTaken);
+    const gameRoom = new GameRoom({
+      ...tournament.matchSettings,
+      ...MATCH_ROOM_SETTINGS,
+    });
+    gameRoom.tournamentMatch = { tournamentCode, matchId: match.id };
+    watchPhase(roomCode, gameRoom);
+    gameRooms.set(roomCode, gameRoom);
+    tournament.markStarted(match.id, roomCode);
+
+    for (const playerId of match.playerIds) {
+      const entrant = tournament.players.get(playerId);
+      gameRoom.addPlayer(playerId, entrant.name, false, entrant.profileId);
+      const socket = io.sockets.sockets.get(entrant.socketId);
+      if (socket) {
+        attachSocket(socket, roomCode, gameRoom, playerId);
+        socket.emit(
+          "tournamentMatchReady",
+          matchTicket(tournamentCode, match, playerId)
+        );
+      } else {
+        gameRoom.markDisconnected(
+          playerId,
+          () => removePlayerFromRoom(roomCode, gameRoom, playerId),
+          DISCONNECT_GRACE_MS
+        );
+      }
+    }
+    startMatch(roomCode, gameRoom);
+  }
+}
+
+// Nobody can press startGame in a match room, so a failed first deal is
+// tried again here until it works or the room goes away
+async function startMatch(roomCode, gameRoom) {
+  await beginGame(roomCode, gameRoom);
+  if (gameRoom.phase === "lobby" && gameRooms.get(roomCode) === gameRoom) {
+    setTimeout(() => startMatch(roomCode, gameRoom), DEAL_RETRY_MS);
+  }
+}
+
+// Who a match settled before it's over goes to: whoever has won the most
+// rounds, the first of them in bracket order on a tie
+function matchLeader(gameRoom) {
+  let leaderId = null;
+  for (const [playerId, player] of gameRoom.players) {
+    if (!leaderId || player.score > gameRoom.players.get(leaderId).score) {
+      leaderId = playerId;
+    }
+  }
+  return leaderId;
+}
+
+// Gives a tournament match to the opponent of a player who's walked out of
+// it. If the game had already started it goes in the history and the
+// ratings as the opponent's win.
+function forfeitTournamentMatch(roomCode, gameRoom, playerId) {
+  const opponentId = Array.from(gameRoom.players.keys()).find(
+    (id) => id !== playerId
+  );
+  if (gameRoom.matchLog) {
+    gameRoom.recordLeaver(playerId);
+    gameRoom.removePlayer(playerId);
+    gameRoom.winners = [opponentId];
+    gameRoom.logEvent("matchForfeited", { playerId, winner: opponentId });
+    recordMatch(roomCode, gameRoom);
+  }
+  finishTournamentMatch(roomCode, gameRoom, opponentId);
+}
+
+// A match has been won, by playing it out or by forfeit, or settled by an
+// operator closing its room. The room closes with reason, the winner moves on
+// in the bracket and whatever that makes ready starts.
+function finishTournamentMatch(
+  roomCode,
+  gameRoom,
+  winnerId,
+  reason = "matchOver"
+) {
+  if (gameRooms.get(roomCode) !== gameRoom) return;
+  const { tournamentCode, matchId } = gameRoom.tournamentMatch;
+  // Settled now, so closing the room doesn't settle it a second time
+  gameRoom.tournamentMatch = null;
+  closeRoom(roomCode, gameRoom, reason);
+  const tournament = tournaments.get(tournamentCode);
+  if (!tournament) return;
+
+  tournament.recordResult(matchId, winnerId);
+  emitTournament(tournamentCode, tournament);
+  if (tournament.status === "finished") {
+    io.to(tournamentChannel(tournamentCode)).emit("tournamentEnded", {
+      tournamentCode,
+      winnerId: tournament.winnerId,
+    });
+    setTimeout(
+      () => tournaments.delete(tournamentCode),
+      FINISHED_TOURNAMENT_TTL_MS
+    );
+    return;
+  }
+  launchReadyMatches(tournamentCode, tournament);
+}
+
+// Rooms with autoStartPlayers set (like the ones quickMatch opens) start
+// their game once that many players are in and everyone is back from the
+// last one
+async function maybeAutoStart(roomCode, gameRoom) {
+  const { autoStartPlayers } = gameRoom.settings;
+  if (!autoStartPlayers || gameRoom.phase !== "lobby") return;
+  if (gameRoom.players.size < autoStartPlayers) return;
+  // startGame would refuse these too; this waits for the Gym Leader to fix
+  // them
+  if (!gameRoom.hasEnoughCards() || gameRoom.getTeamProblem()) return;
+  await requestStart(roomCode, gameRoom, null);
+}
+
+// Starts the game straight away, or opens a ready check first if the room
+// has the readyCheck setting on
+async function requestStart(roomCode, gameRoom, starterId) {
+  if (!gameRoom.settings.readyCheck) {
+    await beginGame(roomCode, gameRoom);
+    return;
+  }
+  gameRoom.startReadyCheck(starterId);
+  emitReadiness(roomCode, gameRoom);
+  await maybeFinishReadyCheck(roomCode, gameRoom);
+}
+
+async function beginGame(roomCode, gameRoom) {
+  let gameState;
+  try {
+    gameState = await gameRoom.startGame();
+  } catch (err) {
+    emitDealFailed(roomCode, gameRoom, err);
+    return;
+  }
+  if (gameRooms.get(roomCode) !== gameRoom) return;
+  emitSeedCommitted(roomCode, gameRoom);
+  emitRoundStarted(roomCode, gameRoom, gameState);
+}
+
+// The game starts as soon as the last player still being waited on is
+// ready, whether they said so or left
+async function maybeFinishReadyCheck(roomCode, gameRoom) {
+  if (gameRoom.phase !== "ready-check" || !gameRoom.isEveryoneReady()) return;
+  await beginGame(roomCode, gameRoom);
+}
+
+function emitReadiness(roomCode, gameRoom) {
+  io.to(roomCode).emit("readyUpdated", {
+    players: gameRoom.getLobbyPlayers(),
+  });
+}
+
+// Called once a player is gone for good. Their leaving may be what the
+// room was waiting on to get back to its lobby or to start.
+function afterPlayerGone(roomCode, gameRoom) {
+  gameRoom.returnToLobbyIfAllBack();
+  settleVote(roomCode, gameRoom);
+  maybeFinishReadyCheck(roomCode, gameRoom).catch((err) => {
+    console.error(`Couldn't start the game in room ${roomCode}:`, err.message);
+  });
+}
+
+// Who a new vote would be about, or a SocketError if the player can't
+// start it. Tournament matches have no Gym Leader, and voting out the only
+// opponent would win the match, so only skipPicker runs there.
+function voteTargetFor(gameRoom, kind, targetId, starterId) {
+  if (gameRoom.vote) {
+    throw new SocketError(
+      ERROR_CODES.VOTE_IN_PROGRESS,
+      "Another vote is already under way.",
+      { voteId: gameRoom.vote.id }
+    );
+  }
+  if (gameRoom.tournamentMatch && kind !== "skipPicker") {
+    throw new SocketError(
+      ERROR_CODES.INVALID_PAYLOAD,
+      "Tournament matches can only vote to skip the picker."
+    );
+  }
+
+  if (kind === "skipPicker") {
+    if (gameRoom.phase !== "picking" || gameRoom.turnStage !== "pick") {
+      throw new SocketError(
+        ERROR_CODES.WRONG_PHASE,
+        "Nobody is picking a stat right now.",
+        { phase: gameRoom.phase }
+      );
+    }
+    if (gameRoom.currentPicker === starterId) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "It's your pick; you can't vote to skip yourself."
+      );
+    }
+    return gameRoom.currentPicker;
+  }
+
+  if (kind === "takeLead") {
+    if (gameRoom.creator === starterId) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "You're already the Gym Leader."
+      );
+    }
+    // Only for getting a room going again, not for deposing a Gym Leader
+    // who's still running it
+    const afkAt = gameRoom.leaderAfkAt();
+    if (afkAt) {
+      throw new SocketError(
+        ERROR_CODES.LEADER_ACTIVE,
+        "The Gym Leader is still here. You can vote to take over once they've been away for a while.",
+        { availableAt: afkAt }
+      );
+    }
+    return gameRoom.creator;
+  }
+
+  if (!targetId) {
+    throw new SocketError(
+      ERROR_CODES.INVALID_PAYLOAD,
+      "targetId is required for a kick vote",
+      { field: "targetId" }
+    );
+  }
+  if (targetId === starterId) {
+    throw new SocketError(
+      ERROR_CODES.INVALID_PAYLOAD,
+      "You can't vote to kick yourself; leave the room instead."
+    );
+  }
+  if (!gameRoom.players.has(targetId)) {
+    throw new SocketError(
+      ERROR_CODES.PLAYER_NOT_FOUND,
+      "That player is not in this room."
+    );
+  }
+  return targetId;
+}
+
+function startVote(roomCode, gameRoom, kind, targetId, starterId) {
+  const vote = gameRoom.openVote(kind, targetId, starterId, () =>
+    endVote(roomCode, gameRoom, "expired")
+  );
+  io.to(roomCode).emit("voteStarted", { vote: gameRoom.getVoteView() });
+  // The starter's own yes may be all a skipPicker vote takes
+  const outcome = vote.getOutcome(gameRoom.tallyVote());
+  if (outcome) finishVote(roomCode, gameRoom, outcome);
+}
+
+// Checks the open vote against the current tally, after a ballot or after
+// voters have come or gone. Ends it once it's decided, or once it's no
+// longer about anything; otherwise sends everyone the new tally.
+function settleVote(roomCode, gameRoom) {
+  if (!gameRoom.vote) return;
+  if (!gameRoom.isVoteStillRelevant()) {
+    endVote(roomCode, gameRoom, "cancelled");
+    return;
+  }
+  const outcome = gameRoom.vote.getOutcome(gameRoom.tallyVote());
+  if (outcome) {
+    finishVote(roomCode, gameRoom, outcome);
+  } else {
+    io.to(roomCode).emit("voteUpdated", { vote: gameRoom.getVoteView() });
+  }
+}
+
+// Ends the open vote without a result once the game has moved on past it,
+// e.g. the picker a skipPicker vote was about has picked
+function dropStaleVote(roomCode, gameRoom) {
+  if (gameRoom.vote && !gameRoom.isVoteStillRelevant()) {
+    endVote(roomCode, gameRoom, "cancelled");
+  }
+}
+
+// result is "passed", "failed", "expired" or "cancelled"
+function endVote(roomCode, gameRoom, result) {
+  const vote = gameRoom.getVoteView();
+  gameRoom.clearVote();
+  io.to(roomCode).emit("voteEnded", { vote, result });
+  persistRoom(roomCode);
+}
+
+// Ends the vote and, if it passed, does what it was for the same way the
+// Gym Leader or the turn timer would have
+function finishVote(roomCode, gameRoom, outcome) {
+  const { kind, targetId, startedBy } = gameRoom.vote;
+  endVote(roomCode, gameRoom, outcome);
+  if (outcome !== "passed") return;
+
+  if (kind === "kick") {
+    kickFromRoom(roomCode, gameRoom, targetId);
+  } else if (kind === "takeLead") {
+    gameRoom.transferCreator(targetId, startedBy);
+    announceCreatorTransfer(roomCode, gameRoom, targetId, startedBy);
+  } else if (gameRoom.passPicker() !== null) {
+    io.to(roomCode).emit("pickerSkipped", {
+      skippedId: targetId,
+      currentPicker: gameRoom.currentPicker,
     });
-    return this.startNewRound();
+    startPickerTurn(roomCode, gameRoom);
   }
 }
+
+// Every client event goes through here: the payload is checked against the
+// schema and role declared in validation/events.js before the handler runs.
+// Rooms are snapshotted after every event that gets through.
+const on = createEventGuard({
+  getRoom: (roomCode) => gameRooms.get(roomCode),
+  getPlayerId: playerIdFor,
+  onHandled: (socket, { roomCode }) => {
+    // Anything a player sends shows they're not AFK
+    gameRooms.get(socket.data.roomCode)?.markActive(socket.data.playerId);
+    persistRoom(roomCode || socket.data.roomCode);
+  },
+});
+
 io.on("connection", (socket) => {
-  socket.on("updateSettings", ({ roomCode, settings }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
-    gameRoom.settings = { ...gameRoom.settings, ...settings };
+  on(socket, "updateSettings", async ({ roomCode, settings }, { gameRoom }) => {
+    checkCardPool({ ...gameRoom.settings, ...settings }, gameRoom.players.size);
+    gameRoom.updateSettings(settings);
+    io.to(roomCode).emit("settingsUpdated", {
+      settings: gameRoom.getPublicSettings(),
+    });
+    if (settings.teamCount !== undefined) emitTeams(roomCode, gameRoom);
+    await maybeAutoStart(roomCode, gameRoom);
   });
 
-  socket.on("createRoom", ({ playerName, settings }) => {
-    const roomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-    const gameRoom = new GameRoom(settings);
-    const player = gameRoom.addPlayer(socket.id, playerName, true);
-    gameRooms.set(roomCode, gameRoom);
-    socket.join(roomCode);
-    socket.emit("roomCreated", {
-      roomCode,
-      players: [
-        {
-          id: socket.id,
-          name: playerName,
-          isCreator: true,
-          score: 0,
-          isBackInRoom: player.isBackInRoom,
-        },
-      ],
-    });
+  on(socket, "createRoom", async (payload) => {
+    const { playerName, settings, profileToken, password } = payload;
+    const profileId = resolveProfile(profileToken);
+    const passwordHash = password ? await hashPassword(password) : null;
+    const roomCode = openRoom(socket, playerName, settings, profileId);
+    gameRooms.get(roomCode).passwordHash = passwordHash;
   });
 
   // Update the joinRoom event handler
-  socket.on("joinRoom", ({ roomCode, playerName }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) {
-      socket.emit("error", "Room not found");
+  on(socket, "joinRoom", async (payload, { gameRoom }) => {
+    const { roomCode, playerName, sessionToken, profileToken } = payload;
+    const { password, inviteToken, spectate } = payload;
+
+    // Case 1: The client holds a session for a seat in this room - reconnect
+    // them to it with their score, pokemon and roles intact
+    const session = verifySessionToken(sessionToken);
+    if (
+      session &&
+      session.roomCode === roomCode &&
+      gameRoom.players.has(session.playerId)
+    ) {
+      const { playerId } = session;
+      attachSocket(socket, roomCode, gameRoom, playerId);
+      gameRoom.markReconnected(playerId);
+
+      // Notify everyone about the reconnection
+      io.to(roomCode).emit("playerReconnected", {
+        playerId,
+        players: gameRoom.getLobbyPlayers(),
+      });
+
+      // Send current game state to reconnected player
+      socket.emit("gameStateUpdate", {
+        roomCode,
+        playerId,
+        // A fresh one, so a seat that keeps being reconnected to doesn't
+        // run out from under its player
+        sessionToken: createSessionToken({ roomCode, playerId }),
+        players: gameRoom.projectPlayersFor(
+          gameRoom.getTablePlayers(),
+          playerId
+        ),
+        currentRound: gameRoom.currentRound,
+        currentPicker: gameRoom.currentPicker,
+        turnDeadline: gameRoom.turnDeadline,
+        mode: gameRoom.settings.mode,
+        hand: gameRoom.players.get(playerId).hand,
+        pendingCommits: Array.from(gameRoom.pendingCommits),
+        winners: gameRoom.winners,
+        chat: gameRoom.chat.getHistory(),
+        mutedIds: gameRoom.chat.getMuted(),
+        phase: gameRoom.phase,
+        vote: gameRoom.getVoteView(),
+      });
       return;
     }
 
-    // Check for name duplicates within this room
-    let existingPlayerId = null;
-    let isNameDuplicate = false;
-
-    for (const [id, player] of gameRoom.players.entries()) {
-      if (player.name.toLowerCase() === playerName.toLowerCase()) {
-        existingPlayerId = id;
-        isNameDuplicate = true;
-        break;
-      }
+    if (!playerName) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "playerName is required to join a room",
+        { field: "playerName" }
+      );
     }
-    // Case 1: Name exists in the room
-    if (isNameDuplicate) {
-      // CRITICAL FIX: We need a reliable way to determine if this is actually a reconnection
-      // In a real reconnection scenario, the previous socket for this player would be disconnected
-      // Check if the existing socket is still connected by attempting to get its handshake
-      const io_sockets = io.sockets.sockets;
-      const existingSocketStillConnected = io_sockets.has(existingPlayerId);
 
-      // If the existing socket is still connected, this is a duplicate name attempt from a different client
-      if (existingSocketStillConnected) {
-        socket.emit(
-          "error",
-          "Name already exists in this room. Please choose a different name."
-        );
-        return;
-      } else {
-        // This is a genuine reconnection - the original socket is disconnected
-        const player = gameRoom.players.get(existingPlayerId);
+    // An invite from the Gym Leader stands in for the password. This is the
+    // only wait before the player is seated, so it goes first and the
+    // checks below see the room as it is when they're seated.
+    if (
+      !inviteToken &&
+      gameRoom.passwordHash &&
+      !(await verifyPassword(password, gameRoom.passwordHash))
+    ) {
+      throw new SocketError(
+        ERROR_CODES.WRONG_PASSWORD,
+        password
+          ? "Wrong password for this room."
+          : "This room needs a password.",
+        { field: "password" }
+      );
+    }
 
-        // Transfer player data to new socket ID
-        gameRoom.clearPlayerName(existingPlayerId);
-        gameRoom.removePlayer(existingPlayerId);
+    // Case 2: Name exists in the room. Seats can only be reclaimed with their
+    // session token, never by knowing the player's name.
+    if (gameRoom.isNameInUse(playerName)) {
+      throw new SocketError(
+        ERROR_CODES.NAME_TAKEN,
+        "Name already exists in this room. Please choose a different name."
+      );
+    }
 
-        // Preserve player attributes, especially isCreator status
-        gameRoom.addPlayer(socket.id, playerName, player.isCreator);
+    // One seat per profile, so nobody can rate themselves against themselves
+    const profileId = resolveProfile(profileToken);
+    if (profileId && gameRoom.hasProfile(profileId)) {
+      throw new SocketError(
+        ERROR_CODES.PROFILE_IN_USE,
+        "That profile is already playing in this room."
+      );
+    }
 
-        // Update creator reference if needed
-        if (player.isCreator) {
-          gameRoom.creator = socket.id;
-        }
+    if (spectate && gameRoom.isSpectatingFull()) {
+      throw new SocketError(
+        ERROR_CODES.ROOM_FULL,
+        "This room has no room for more spectators."
+      );
+    }
+    if (!spectate && gameRoom.isFull()) {
+      throw new SocketError(ERROR_CODES.ROOM_FULL, "This room is full.");
+    }
+    if (gameRoom.locked) {
+      throw new SocketError(
+        ERROR_CODES.ROOM_LOCKED,
+        "The Gym Leader has locked this room."
+      );
+    }
+    // Checked last so an invite is only used up by a join that succeeds
+    if (inviteToken && !gameRoom.redeemInvite(inviteToken)) {
+      throw new SocketError(
+        ERROR_CODES.INVITE_INVALID,
+        "That invite has expired or has already been used.",
+        { field: "inviteToken" }
+      );
+    }
 
-        // Preserve score and pokemon if we're in a game
-        const newPlayer = gameRoom.players.get(socket.id);
-        newPlayer.score = player.score;
-        newPlayer.pokemon = player.pokemon;
-
-        socket.join(roomCode);
-
-        // Notify everyone about the reconnection
-        io.to(roomCode).emit("playerReconnected", {
-          oldId: existingPlayerId,
-          newId: socket.id,
-          players: Array.from(gameRoom.players.entries()).map(([id, p]) => ({
-            id,
-            name: p.name,
-            isCreator: p.isCreator,
-            score: p.score,
-            isBackInRoom: p.isBackInRoom,
-          })),
-        });
-
-        // Send current game state to reconnected player
-        const gamePhase = gameRoom.currentRound > 1 ? "playing" : "in-room";
-        socket.emit("gameStateUpdate", {
-          roomCode,
-          players: Array.from(gameRoom.players.entries()).map(([id, p]) => ({
-            id,
-            name: p.name,
-            isCreator: p.isCreator,
-            score: p.score,
-            pokemon: p.pokemon,
-            isBackInRoom: p.isBackInRoom,
-          })),
-          currentRound: gameRoom.currentRound,
-          currentPicker: gameRoom.currentPicker,
-          winners: gameRoom.winners,
-          phase: gamePhase,
-        });
-      }
-    } else {
-      // Case 2: Normal join process for new player with unique name
-      const player = gameRoom.addPlayer(socket.id, playerName);
-      socket.join(roomCode);
-      socket.emit("gameStateUpdate", {
-        roomCode,
-        players: Array.from(gameRoom.players.entries()).map(([id, p]) => ({
-          id,
-          name: p.name,
-          isCreator: p.isCreator,
-          score: p.score,
-          isBackInRoom: p.isBackInRoom,
-        })),
-        phase: "in-room",
-      });
-      io.to(roomCode).emit("playerJoined", {
-        players: Array.from(gameRoom.players.entries()).map(([id, p]) => ({
-          id,
-          name: p.name,
-          isCreator: p.isCreator,
-          score: p.score,
-          isBackInRoom: p.isBackInRoom,
-        })),
-      });
+    if (spectate) {
+      seatSpectator(socket, roomCode, gameRoom, playerName, profileId);
+      return;
     }
+
+    // Case 3: Normal join process for new player with unique name
+    seatNewPlayer(socket, roomCode, gameRoom, playerName, profileId);
+    await maybeAutoStart(roomCode, gameRoom);
   });
 
-  socket.on("nextRound", async ({ roomCode }) => {
+  on(socket, "listRooms", () => {
+    socket.emit("roomList", { rooms: listOpenRooms() });
+  });
+
+  // Drops the player into the fullest public lobby they can join, or opens
+  // a new public one that starts by itself once enough players arrive
+  on(socket, "quickMatch", async ({ playerName, profileToken }) => {
+    const profileId = resolveProfile(profileToken);
+    const roomCode = findQuickMatchRoom(playerName, profileId);
+    if (!roomCode) {
+      openRoom(
+        socket,
+        playerName,
+        { visibility: "public", autoStartPlayers: QUICK_MATCH_MIN_PLAYERS },
+        profileId
+      );
+      return;
+    }
+
     const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
+    seatNewPlayer(socket, roomCode, gameRoom, playerName, profileId);
+    await maybeAutoStart(roomCode, gameRoom);
+  });
+
+  on(socket, "createTournament", (payload) => {
+    const { playerName, format, settings, swissRounds, maxPlayers } = payload;
+    const profileId = resolveProfile(payload.profileToken);
+    const matchSettings = { ...settings, ...MATCH_ROOM_SETTINGS };
+    checkCardPool(new GameRoom(matchSettings).settings, 2);
+
+    const tournamentCode = createRoomCode(isCodeTaken);
+    const tournament = new Tournament({
+      format,
+      matchSettings,
+      swissRounds,
+      maxPlayers,
+    });
+    const playerId = createPlayerId();
+    tournament.register(playerId, playerName, entrantDetails(profileId));
+    tournaments.set(tournamentCode, tournament);
+    attachTournamentSocket(socket, tournamentCode, tournament, playerId);
+    socket.emit("tournamentCreated", {
+      tournamentCode,
+      playerId,
+      sessionToken: createSessionToken({ roomCode: tournamentCode, playerId }),
+      tournament: tournament.toView(),
+    });
+  });
+
+  // Registers a new player, or puts a returning one (holding the session
+  // token they were given) back in touch with the bracket and their match
+  on(socket, "joinTournament", (payload) => {
+    const { tournamentCode, playerName, sessionToken } = payload;
+    const tournament = tournaments.get(tournamentCode);
+    if (!tournament) {
+      throw new SocketError(
+        ERROR_CODES.TOURNAMENT_NOT_FOUND,
+        "Tournament not found"
+      );
+    }
+
+    const session = verifySessionToken(sessionToken);
+    let playerId;
+    if (
+      session &&
+      session.roomCode === tournamentCode &&
+      tournament.players.has(session.playerId)
+    ) {
+      playerId = session.playerId;
+    } else {
+      if (!playerName) {
+        throw new SocketError(
+          ERROR_CODES.INVALID_PAYLOAD,
+          "playerName is required to join a tournament",
+          { field: "playerName" }
+        );
+      }
+      if (tournament.status !== "registering") {
+        throw new SocketError(
+          ERROR_CODES.WRONG_PHASE,
+          "This tournament has already started."
+        );
+      }
+      if (tournament.isFull()) {
+        throw new SocketError(
+          ERROR_CODES.ROOM_FULL,
+          "This tournament is full."
+        );
+      }
+      if (tournament.isNameInUse(playerName)) {
+        throw new SocketError(
+          ERROR_CODES.NAME_TAKEN,
+          "Name already exists in this tournament. Please choose a different name."
+        );
+      }
+      const profileId = resolveProfile(payload.profileToken);
+      playerId = createPlayerId();
+      tournament.register(playerId, playerName, entrantDetails(profileId));
+    }
+
+    attachTournamentSocket(socket, tournamentCode, tournament, playerId);
+    const match = tournament.getLiveMatch(playerId);
+    socket.emit("tournamentJoined", {
+      tournamentCode,
+      playerId,
+      sessionToken: createSessionToken({ roomCode: tournamentCode, playerId }),
+      tournament: tournament.toView(),
+      match: match ? matchTicket(tournamentCode, match, playerId) : null,
+    });
+    emitTournament(tournamentCode, tournament);
+  });
 
-    if (socket.id !== gameRoom.currentPicker) {
-      socket.emit("error", "Only the current picker can start the next round");
+  // Before the start this takes the player out of the tournament. After it
+  // they stay in the bracket and just stop following it; leaving their
+  // match room is what forfeits a match.
+  on(socket, "leaveTournament", ({ tournamentCode }) => {
+    const { tournament, playerId } = findEntrant(socket, tournamentCode);
+    detachTournamentSocket(socket, tournamentCode);
+    if (tournament.status === "registering") {
+      removeEntrant(tournamentCode, tournament, playerId);
       return;
     }
+    tournament.players.get(playerId).socketId = null;
+    emitTournament(tournamentCode, tournament);
+  });
+
+  on(socket, "startTournament", ({ tournamentCode }) => {
+    const { tournament, playerId } = findEntrant(socket, tournamentCode);
+    if (playerId !== tournament.organizer) {
+      throw new SocketError(
+        ERROR_CODES.NOT_CREATOR,
+        "Only the organizer can start the tournament."
+      );
+    }
+    if (tournament.status !== "registering") {
+      throw new SocketError(
+        ERROR_CODES.WRONG_PHASE,
+        "This tournament has already started."
+      );
+    }
+    if (tournament.players.size < TOURNAMENT_MIN_PLAYERS) {
+      throw new SocketError(
+        ERROR_CODES.NOT_ENOUGH_PLAYERS,
+        `A tournament needs at least ${TOURNAMENT_MIN_PLAYERS} players.`
+      );
+    }
+
+    tournament.start();
+    emitTournament(tournamentCode, tournament);
+    launchReadyMatches(tournamentCode, tournament);
+  });
 
+  on(socket, "nextRound", async ({ roomCode }, { gameRoom }) => {
     gameRoom.clearNextRoundTimeout();
-    const newState = await gameRoom.startNewRound();
-    io.to(roomCode).emit("roundStarted", newState);
+    await dealNextRound(roomCode, gameRoom);
   });
 
-  socket.on("transferCreator", ({ roomCode, newCreatorId }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
+  on(socket, "transferCreator", (payload, { gameRoom, playerId }) => {
+    const { roomCode, newCreatorId } = payload;
+
+    if (gameRoom.players.get(newCreatorId)?.isBot) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "Bots can't be the Gym Leader."
+      );
+    }
 
     // Try to transfer creator status
-    const success = gameRoom.transferCreator(socket.id, newCreatorId);
-    if (success) {
-      // For room-phase, we assume both should be marked as 'back in room'
-      const oldCreator = gameRoom.players.get(socket.id);
-      const newCreator = gameRoom.players.get(newCreatorId);
-      if (oldCreator) oldCreator.isBackInRoom = true;
-      if (newCreator) newCreator.isBackInRoom = true;
-
-      io.to(roomCode).emit("creatorTransferred", {
-        previousCreatorId: socket.id,
-        newCreatorId,
-        players: Array.from(gameRoom.players.entries()).map(([id, player]) => ({
-          id,
-          name: player.name,
-          score: player.score,
-          isCreator: player.isCreator,
-          isBackInRoom: player.isBackInRoom, // now included!
-        })),
-      });
+    const success = gameRoom.transferCreator(playerId, newCreatorId);
+    if (!success) {
+      throw new SocketError(
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That player is not in this room."
+      );
     }
+
+    announceCreatorTransfer(roomCode, gameRoom, playerId, newCreatorId);
   });
 
-  socket.on("startGame", async ({ roomCode }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
+  // Only the creator gets this far (see validation/events.js)
+  on(socket, "startGame", async ({ roomCode }, { gameRoom, playerId }) => {
+    checkCanStart(gameRoom);
+    await requestStart(roomCode, gameRoom, playerId);
+  });
 
-    // Check if the caller is actually the creator
-    if (socket.id !== gameRoom.creator) {
-      socket.emit("error", "Only the Gym Leader can start the game.");
-      return;
+  on(socket, "selectStat", ({ roomCode, stat }, { gameRoom }) => {
+    if (!gameRoom.settings.allowedStats.includes(stat)) {
+      throw new SocketError(
+        ERROR_CODES.STAT_NOT_ALLOWED,
+        "That stat isn't in play in this room.",
+        { field: "stat" }
+      );
+    }
+    if (!gameRoom.allCardsCommitted()) {
+      throw new SocketError(
+        ERROR_CODES.CARDS_NOT_COMMITTED,
+        "Wait until every player has committed a card."
+      );
     }
+    completeRound(roomCode, gameRoom, stat);
+  });
 
-    // Check if all players are back
-    const allBack = Array.from(gameRoom.players.values()).every(
-      (p) => p.isBackInRoom
-    );
-    if (!allBack) {
-      socket.emit(
-        "error",
-        "Not all players have returned to the room. Wait until everyone is back."
+  on(socket, "commitCard", (payload, { gameRoom, playerId }) => {
+    const { roomCode, cardIndex } = payload;
+    if (!gameRoom.isDraft() || !gameRoom.pendingCommits.has(playerId)) {
+      throw new SocketError(
+        ERROR_CODES.NO_ROUND_IN_PROGRESS,
+        "You have no card to commit right now."
       );
-      return;
     }
+    if (!applyCommit(roomCode, gameRoom, playerId, cardIndex)) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "That card is not in your hand.",
+        { field: "cardIndex" }
+      );
+    }
+  });
 
-    // If all are back, proceed
-    const gameState = await gameRoom.startGame();
-    io.to(roomCode).emit("roundStarted", gameState);
+  // Same checks as startGame; startGame() resets everything left over from
+  // the last game, tie-break included
+  on(socket, "rematch", async ({ roomCode }, { gameRoom, playerId }) => {
+    checkCanStart(gameRoom);
+    io.to(roomCode).emit("gameReset");
+    await requestStart(roomCode, gameRoom, playerId);
   });
 
-  // In the socket.on("selectStat") handler, update to use new state:
-  socket.on("selectStat", ({ roomCode, stat }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom || gameRoom.currentPicker !== socket.id) return;
+  on(
+    socket,
+    "setReady",
+    async ({ roomCode, ready }, { gameRoom, playerId }) => {
+      gameRoom.players.get(playerId).isReady = ready;
+      emitReadiness(roomCode, gameRoom);
+      await maybeFinishReadyCheck(roomCode, gameRoom);
+    }
+  );
 
-    const gameState = gameRoom.evaluateRound(stat);
+  on(socket, "cancelReadyCheck", ({ roomCode }, { gameRoom }) => {
+    gameRoom.cancelReadyCheck();
+    emitReadiness(roomCode, gameRoom);
+  });
 
-    // If game has ended, clear all player names
-    if (gameState.gameEnded) {
-      // Mark all players as not in the room using gameRoom.players
-      for (const [id, p] of gameRoom.players.entries()) {
-        p.isBackInRoom = false;
-      }
-      // Clear all playerNames from the game room
-      gameRoom.clearAllPlayerNames();
+  on(socket, "leaveRoom", ({ roomCode }, { gameRoom, playerId }) => {
+    leaveRoom(socket, roomCode, gameRoom, playerId);
+  });
+
+  on(socket, "playerBackToRoom", async (payload, { gameRoom, playerId }) => {
+    const { roomCode } = payload;
+    gameRoom.players.get(playerId).isBackInRoom = true;
+    gameRoom.returnToLobbyIfAllBack();
+    // Send an update only to the sender. The room's phase stays "ended"
+    // until everyone is back.
+    socket.emit("gameStateUpdate", {
+      roomCode,
+      players: gameRoom.getLobbyPlayers(),
+      phase: gameRoom.phase,
+    });
+    // Notify other players that this player's status has changed, without affecting their phase
+    socket.to(roomCode).emit("playerStatusUpdate", {
+      id: playerId,
+      isBackInRoom: true,
+    });
+    await maybeAutoStart(roomCode, gameRoom);
+  });
+
+  on(socket, "addBot", async ({ roomCode, difficulty }, { gameRoom }) => {
+    if (gameRoom.getBotCount() >= MAX_BOTS_PER_ROOM) {
+      throw new SocketError(
+        ERROR_CODES.ROOM_FULL,
+        `A room can have at most ${MAX_BOTS_PER_ROOM} bots.`
+      );
+    }
+    if (gameRoom.isFull()) {
+      throw new SocketError(ERROR_CODES.ROOM_FULL, "This room is full.");
     }
 
-    io.to(roomCode).emit("roundComplete", {
-      roundWinners: gameState.roundWinners,
-      gameWinners: gameState.gameWinners,
-      stat,
-      players: gameState.players,
-      gameEnded: gameState.gameEnded,
+    gameRoom.addBot(createPlayerId(), difficulty);
+    io.to(roomCode).emit("playerJoined", {
+      players: gameRoom.getLobbyPlayers(),
     });
+    await maybeAutoStart(roomCode, gameRoom);
+  });
 
-    if (!gameState.gameEnded) {
-      gameRoom.clearNextRoundTimeout();
-      gameRoom.nextRoundTimeoutId = setTimeout(async () => {
-        const newState = await gameRoom.startNewRound();
-        io.to(roomCode).emit("roundStarted", newState);
-      }, 30000);
+  // Any player can start a vote; it counts as their yes
+  on(socket, "startVote", (payload, { gameRoom, playerId }) => {
+    const { roomCode, kind } = payload;
+    const targetId = voteTargetFor(gameRoom, kind, payload.targetId, playerId);
+    // A takeLead needs nobody else: the Gym Leader is AFK by now, and a
+    // room of two has nobody else to ask
+    const voterIds = gameRoom.getVoterIds(kind);
+    if (
+      kind !== "takeLead" &&
+      eligibleVoters(kind, targetId, voterIds).length < 2
+    ) {
+      throw new SocketError(
+        ERROR_CODES.NOT_ENOUGH_PLAYERS,
+        "There's nobody else here to vote on that."
+      );
     }
+    startVote(roomCode, gameRoom, kind, targetId, playerId);
   });
 
-  socket.on("rematch", ({ roomCode }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
-    gameRoom.currentRound = 0;
-    gameRoom.winners = [];
-    gameRoom.players.forEach((player) => (player.score = 0));
-    io.to(roomCode).emit("gameReset");
-    setTimeout(async () => {
-      const newState = await gameRoom.startNewRound();
-      io.to(roomCode).emit("roundStarted", newState);
-    }, 1000);
+  on(socket, "castVote", (payload, { gameRoom, playerId }) => {
+    const { roomCode, voteId, inFavor } = payload;
+    const { vote } = gameRoom;
+    if (!vote || vote.id !== voteId) {
+      throw new SocketError(ERROR_CODES.VOTE_NOT_FOUND, "That vote is over.");
+    }
+    if (!vote.canVote(playerId)) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "You can't vote on a vote about you."
+      );
+    }
+    // Before the tally: voting is enough to show a Gym Leader isn't AFK
+    gameRoom.markActive(playerId);
+    vote.cast(playerId, inFavor);
+    settleVote(roomCode, gameRoom);
   });
 
-  socket.on("leaveRoom", ({ roomCode }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
+  // Kicking a bot is how it gets removed again
+  on(socket, "kickPlayer", ({ roomCode, playerId }, { gameRoom }) => {
+    if (playerId === gameRoom.creator) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "The Gym Leader can't kick themselves."
+      );
+    }
 
-    // Get the leaving player's data before removing
-    const leavingPlayer = gameRoom.players.get(socket.id);
-    const wasCreator = leavingPlayer?.isCreator;
+    if (!gameRoom.findMember(playerId)) {
+      throw new SocketError(
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That player is not in this room."
+      );
+    }
+    kickFromRoom(roomCode, gameRoom, playerId);
+  });
 
-    // Clear the leaving player's name
-    gameRoom.clearPlayerName(socket.id);
-    gameRoom.removePlayer(socket.id);
+  // Works on spectators too; bots never say anything to mute
+  on(socket, "mutePlayer", (payload, { gameRoom, playerId }) => {
+    const { roomCode, muted } = payload;
+    if (payload.playerId === playerId) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "The Gym Leader can't mute themselves."
+      );
+    }
+    if (!gameRoom.findMember(payload.playerId)) {
+      throw new SocketError(
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That player is not in this room."
+      );
+    }
 
-    socket.leave(roomCode);
+    gameRoom.chat.setMuted(payload.playerId, muted);
+    io.to(roomCode).emit("playerMuted", {
+      playerId: payload.playerId,
+      muted,
+      mutedIds: gameRoom.chat.getMuted(),
+    });
+  });
 
-    if (gameRoom.players.size === 0) {
-      // If room is empty, delete the room
-      gameRooms.delete(roomCode);
-    } else {
-      // If the creator left, assign a new one
-      let newCreatorId = null;
-      if (wasCreator) {
-        newCreatorId = gameRoom.assignNewCreator();
-      }
+  on(socket, "sendChat", ({ roomCode, text }, { gameRoom, playerId }) => {
+    checkCanChat(gameRoom, playerId);
+    if (gameRoom.chat.isRepeat(playerId, text)) {
+      throw new SocketError(
+        ERROR_CODES.CHAT_RATE_LIMITED,
+        "You just sent that message."
+      );
+    }
+    const filtered = gameRoom.chat.filterText(
+      text,
+      gameRoom.settings.profanityFilter
+    );
+    if (filtered === null) {
+      throw new SocketError(
+        ERROR_CODES.CHAT_BLOCKED,
+        "That message isn't allowed in this room.",
+        { field: "text" }
+      );
+    }
+    if (!gameRoom.chat.allowSend(playerId)) throw chatRateLimited();
+    postChatMessage(roomCode, gameRoom, playerId, { text: filtered });
+  });
 
-      io.to(roomCode).emit("playerLeft", {
-        playerId: socket.id,
-        leftPlayer: leavingPlayer ? { name: leavingPlayer.name } : null,
-        newCreatorId,
-        players: Array.from(gameRoom.players.entries()).map(([id, player]) => ({
-          id,
-          name: player.name,
-          score: player.score,
-          isCreator: player.isCreator,
-          isBackInRoom: player.isBackInRoom,
-        })),
-      });
+  on(socket, "sendEmote", ({ roomCode, emote }, { gameRoom, playerId }) => {
+    checkCanChat(gameRoom, playerId);
+    if (!gameRoom.chat.canSendEmote(playerId, emote)) {
+      throw new SocketError(
+        ERROR_CODES.EMOTE_NOT_AVAILABLE,
+        "That emote doesn't fit how the last round went for you.",
+        { field: "emote" }
+      );
     }
+    if (!gameRoom.chat.allowSend(playerId)) throw chatRateLimited();
+    postChatMessage(roomCode, gameRoom, playerId, { emote });
   });
 
-  socket.on("playerBackToRoom", ({ roomCode }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom) return;
+  // Leaving the team out takes the player off their team
+  on(socket, "assignTeam", (payload, { gameRoom }) => {
+    const { roomCode, playerId, team } = payload;
+    if (!gameRoom.isTeamMode()) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        "This room isn't playing in teams."
+      );
+    }
+    if (team && !teamIdsFor(gameRoom.settings.teamCount).includes(team)) {
+      throw new SocketError(
+        ERROR_CODES.INVALID_PAYLOAD,
+        `This room only has ${gameRoom.settings.teamCount} teams.`,
+        { field: "team" }
+      );
+    }
+    const player = gameRoom.players.get(playerId);
+    if (!player) {
+      throw new SocketError(
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That player is not in this room."
+      );
+    }
 
-    const player = gameRoom.players.get(socket.id);
-    if (player) {
-      player.isBackInRoom = true;
-      // Send an update only to the sender, setting their phase to "in-room"
-      socket.emit("gameStateUpdate", {
-        roomCode,
-        players: Array.from(gameRoom.players.entries()).map(([id, p]) => ({
-          id,
-          name: p.name,
-          isCreator: p.isCreator,
-          score: p.score,
-          isBackInRoom: p.isBackInRoom,
-        })),
-        phase: "in-room",
-      });
-      // Notify other players that this player's status has changed, without affecting their phase
-      socket.to(roomCode).emit("playerStatusUpdate", {
-        id: socket.id,
-        isBackInRoom: true,
-      });
+    player.team = team ?? null;
+    emitTeams(roomCode, gameRoom);
+  });
+
+  // Between games only: a spectator can't be dealt into a game underway
+  on(socket, "promoteSpectator", async (payload, { gameRoom }) => {
+    const { roomCode, spectatorId } = payload;
+    if (!gameRoom.spectators.has(spectatorId)) {
+      throw new SocketError(
+        ERROR_CODES.PLAYER_NOT_FOUND,
+        "That spectator is not in this room."
+      );
     }
+    if (gameRoom.isFull()) {
+      throw new SocketError(ERROR_CODES.ROOM_FULL, "This room is full.");
+    }
+
+    gameRoom.promoteSpectator(spectatorId);
+    io.to(roomCode).emit("spectatorPromoted", {
+      playerId: spectatorId,
+      players: gameRoom.getLobbyPlayers(),
+      spectators: gameRoom.getSpectators(),
+    });
+    await maybeAutoStart(roomCode, gameRoom);
   });
 
-  socket.on("kickPlayer", ({ roomCode, playerId }) => {
-    const gameRoom = gameRooms.get(roomCode);
-    if (!gameRoom || gameRoom.creator !== socket.id) return;
+  on(
+    socket,
+    "setRoomPassword",
+    async ({ roomCode, password }, { gameRoom }) => {
+      gameRoom.passwordHash = password ? await hashPassword(password) : null;
+      emitRoomAccess(roomCode, gameRoom);
+    }
+  );
 
-    gameRoom.clearPlayerName(playerId);
-    gameRoom.removePlayer(playerId);
+  // Usually done once the game starts, to keep latecomers out
+  on(socket, "lockRoom", ({ roomCode, locked }, { gameRoom }) => {
+    gameRoom.locked = locked;
+    emitRoomAccess(roomCode, gameRoom);
+  });
 
-    io.to(roomCode).emit("playerKicked", {
-      kickedId: playerId,
-      players: Array.from(gameRoom.players.entries()).map(([id, player]) => ({
-        id,
-        name: player.name,
-        score: player.score,
-        isBackInRoom: player.isBackInRoom,
-      })),
+  // Only the creator gets the token; it's theirs to pass on
+  on(socket, "createInvite", (payload, { gameRoom }) => {
+    const { roomCode, singleUse, expiresInMinutes } = payload;
+    socket.emit("inviteCreated", {
+      roomCode,
+      ...gameRoom.createInvite({ singleUse, ttlMs: expiresInMinutes * 60000 }),
+    });
+  });
+
+  on(socket, "createProfile", ({ name }) => {
+    const profile = profiles.create(name);
+    socket.emit("profileCreated", {
+      profile: publicProfile(profile),
+      // Kept by the client and sent with createRoom/joinRoom to play as
+      // this profile
+      profileToken: createProfileToken(profile.id),
     });
-    io.to(playerId).emit("youWereKicked");
   });
 
+  on(socket, "getLeaderboard", ({ limit }) => {
+    socket.emit("leaderboard", { players: profiles.leaderboard(limit) });
+  });
+
+  // Not a client event, so it isn't routed through the event guard
   socket.on("disconnect", () => {
-    // Check all game rooms for the disconnected player
-    for (const [roomCode, room] of gameRooms.entries()) {
-      const player = room.players.get(socket.id);
-      if (player) {
-        const wasCreator = player.isCreator;
-        room.clearPlayerName(socket.id);
-        room.removePlayer(socket.id);
-
-        // If room is empty, delete it
-        if (room.players.size === 0) {
-          gameRooms.delete(roomCode);
-        } else {
-          // If the creator left, assign a new one
-          let newCreatorId = null;
-          if (wasCreator) {
-            newCreatorId = room.assignNewCreator();
-          }
-
-          // Notify remaining players
-          io.to(roomCode).emit("playerLeft", {
-            playerId: socket.id,
-            leftPlayer: player ? { name: player.name } : null,
-            newCreatorId,
-            players: Array.from(room.players.entries()).map(([id, p]) => ({
-              id,
-              name: p.name,
-              score: p.score,
-              isCreator: p.isCreator,
-              isBackInRoom: p.isBackInRoom,
-            })),
-          });
-        }
-        break; // Player found and handled, exit the loop
+    // Once a tournament is under way its players stay in the bracket, shown
+    // as offline until they rejoin. Before that they get the same grace
+    // period as a seat in a room to come back.
+    const { tournamentCode, tournamentPlayerId } = socket.data;
+    const tournament = tournaments.get(tournamentCode);
+    const entrant = tournament?.players.get(tournamentPlayerId);
+    if (entrant?.socketId === socket.id) {
+      if (tournament.status === "registering") {
+        tournament.markDisconnected(
+          tournamentPlayerId,
+          () => removeEntrant(tournamentCode, tournament, tournamentPlayerId),
+          DISCONNECT_GRACE_MS
+        );
+      } else {
+        entrant.socketId = null;
+      }
+      emitTournament(tournamentCode, tournament);
+    }
+
+    const { roomCode, playerId } = socket.data;
+    const room = gameRooms.get(roomCode);
+
+    // Spectators have no seat to hold; they can simply join again
+    const spectator = room?.spectators.get(playerId);
+    if (spectator) {
+      if (spectator.socketId === socket.id) {
+        removeSpectator(roomCode, room, playerId);
       }
+      return;
+    }
+
+    const player = room?.players.get(playerId);
+    // Nothing to do if they'd left or their seat moved to a newer socket
+    if (!player || player.socketId !== socket.id) return;
+
+    // Hold their seat for a while so joinRoom can reconnect them; only
+    // remove them for good once the grace period runs out.
+    room.markDisconnected(
+      playerId,
+      () => removePlayerFromRoom(roomCode, room, playerId),
+      DISCONNECT_GRACE_MS
+    );
+
+    // Don't leave the round waiting on a picker who isn't there
+    let newPickerId = null;
+    if (room.phase === "picking" && room.currentPicker === playerId) {
+      newPickerId = room.passPicker();
+    }
+
+    io.to(roomCode).emit("playerDisconnected", {
+      playerId,
+      name: player.name,
+      gracePeriodMs: DISCONNECT_GRACE_MS,
+      currentPicker: room.currentPicker,
+      newPickerId,
+      players: room.getLobbyPlayers(),
+    });
+    if (newPickerId && room.turnStage === "pick") {
+      startPickerTurn(roomCode, room);
     }
+    // In draft mode they can't commit a card from where they are now
+    if (room.pendingCommits.has(playerId)) {
+      autoCommit(roomCode, room, playerId);
+    }
+    // They no longer count towards a vote's threshold
+    settleVote(roomCode, room);
+    persistRoom(roomCode);
   });
 });
 
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+profiles
+  .load()
+  .then(restoreRooms)
+  .catch((err) => console.error("Failed to restore saved state:", err))
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
@@ -0,0 +1,143 @@
+const fs = require("fs/promises");
+const path = require("path");
+const RoomStore = require("./store");
+
+// Keeps each room in its own JSON file, <dir>/<roomCode>.json, each
+// finished match in <matchesDir>/<roomCode>/<matchId>.json and each profile
+// in <profilesDir>/<profileId>.json. Files are written to a temp file and
+// renamed into place so a crash mid-write leaves the previous copy intact.
+class FileRoomStore extends RoomStore {
+  constructor({ dir, matchesDir, profilesDir }) {
+    super("file");
+    this.dir = dir;
+    this.matchesDir = matchesDir;
+    this.profilesDir = profilesDir;
+    this.queues = new Map(); // file -> the last write queued for it
+  }
+
+  fileFor(roomCode) {
+    return path.join(this.dir, `${roomCode}.json`);
+  }
+
+  // Chain writes per file so an older snapshot can never land on top of a
+  // newer one. A failed write doesn't hold up the ones queued behind it.
+  enqueue(file, task) {
+    const previous = this.queues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(file, next);
+    next
+      .catch(() => {})
+      .then(() => {
+        if (this.queues.get(file) === next) this.queues.delete(file);
+      });
+    return next;
+  }
+
+  writeJson(file, data) {
+    return this.enqueue(file, async () => {
+      const tmpFile = `${file}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tmpFile, JSON.stringify(data));
+      await fs.rename(tmpFile, file);
+    });
+  }
+
+  // Every *.json file in dir, parsed; unreadable ones are skipped
+  async readJsonDir(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        const contents = await fs.readFile(path.join(dir, file), "utf8");
+        entries.push({
+          name: path.basename(file, ".json"),
+          data: JSON.parse(contents),
+        });
+      } catch (err) {
+        console.error(`Skipping unreadable file ${file}:`, err.message);
+      }
+    }
+    return entries;
+  }
+
+  save(roomCode, snapshot) {
+    return this.writeJson(this.fileFor(roomCode), snapshot);
+  }
+
+  remove(roomCode) {
+    const file = this.fileFor(roomCode);
+    return this.enqueue(file, () => fs.rm(file, { force: true }));
+  }
+
+  async loadAll() {
+    const entries = await this.readJsonDir(this.dir);
+    return entries.map(({ name, data }) => ({
+      roomCode: name,
+      snapshot: data,
+    }));
+  }
+
+  matchFileFor(roomCode, matchId) {
+    return path.join(this.matchesDir, roomCode, `${matchId}.json`);
+  }
+
+  saveMatch(match) {
+    return this.writeJson(this.matchFileFor(match.roomCode, match.id), match);
+  }
+
+  async listMatches(roomCode, limit) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.matchesDir, roomCode));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    // Match ids start with their creation time, so names sort by age
+    const matchIds = files
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => path.basename(name, ".json"))
+      .sort()
+      .reverse()
+      .slice(0, limit);
+    const matches = await Promise.all(
+      matchIds.map((matchId) => this.getMatch(roomCode, matchId))
+    );
+    return matches.filter(Boolean);
+  }
+
+  async getMatch(roomCode, matchId) {
+    try {
+      const contents = await fs.readFile(
+        this.matchFileFor(roomCode, matchId),
+        "utf8"
+      );
+      return JSON.parse(contents);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  saveProfile(profile) {
+    return this.writeJson(
+      path.join(this.profilesDir, `${profile.id}.json`),
+      profile
+    );
+  }
+
+  async loadProfiles() {
+    const entries = await this.readJsonDir(this.profilesDir);
+    return entries.map(({ data }) => data);
+  }
+}
+
+module.exports = FileRoomStore;
@@ -0,0 +1,37 @@
+const RoomStore = require("./store");
+const FileRoomStore = require("./fileStore");
+const SqliteRoomStore = require("./sqliteStore");
+
+// Picks where room snapshots are kept from ROOM_STORE:
+//   file   - one JSON file per room under ROOM_STORE_DIR (default),
+//            finished matches under MATCH_HISTORY_DIR and player profiles
+//            under PROFILES_DIR
+//   sqlite - a single SQLite database at ROOM_STORE_FILE
+//   none   - nothing is kept; rooms, match history and profiles are lost
+//            on restart
+// Returns null for "none".
+function createRoomStore(type = process.env.ROOM_STORE || "file") {
+  switch (type) {
+    case "none":
+      return null;
+    case "file":
+      return new FileRoomStore({
+        dir: process.env.ROOM_STORE_DIR || ".data/rooms",
+        matchesDir: process.env.MATCH_HISTORY_DIR || ".data/matches",
+        profilesDir: process.env.PROFILES_DIR || ".data/profiles",
+      });
+    case "sqlite":
+      return new SqliteRoomStore({
+        file: process.env.ROOM_STORE_FILE || ".data/rooms.sqlite",
+      });
+    default:
+      throw new Error(`Unknown room store "${type}"`);
+  }
+}
+
+module.exports = {
+  createRoomStore,
+  RoomStore,
+  FileRoomStore,
+  SqliteRoomStore,
+};
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const RoomStore = require("./store");
+
+// Keeps every room, finished match and profile in a single SQLite database.
+// better-sqlite3 is an optional dependency, so it's only loaded when this
+// store is picked.
+class SqliteRoomStore extends RoomStore {
+  constructor({ file }) {
+    super("sqlite");
+    this.file = file;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (err) {
+      throw new Error(
+        'ROOM_STORE=sqlite needs the "better-sqlite3" package installed'
+      );
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        room_code TEXT PRIMARY KEY,
+        snapshot TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS matches (
+        id TEXT PRIMARY KEY,
+        room_code TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        match TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS matches_by_room
+        ON matches (room_code, started_at);
+      CREATE TABLE IF NOT EXISTS profiles (
+        id TEXT PRIMARY KEY,
+        profile TEXT NOT NULL
+      );
+    `);
+    return this.db;
+  }
+
+  async save(roomCode, snapshot) {
+    this.open()
+      .prepare(
+        `INSERT INTO rooms (room_code, snapshot, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT (room_code) DO UPDATE
+         SET snapshot = excluded.snapshot, updated_at = excluded.updated_at`
+      )
+      .run(roomCode, JSON.stringify(snapshot), Date.now());
+  }
+
+  async remove(roomCode) {
+    this.open().prepare("DELETE FROM rooms WHERE room_code = ?").run(roomCode);
+  }
+
+  async loadAll() {
+    const rows = this.open()
+      .prepare("SELECT room_code, snapshot FROM rooms")
+      .all();
+    const rooms = [];
+    for (const row of rows) {
+      try {
+        rooms.push({
+          roomCode: row.room_code,
+          snapshot: JSON.parse(row.snapshot),
+        });
+      } catch (err) {
+        console.error(
+          `Skipping unreadable room ${row.room_code}:`,
+          err.message
+        );
+      }
+    }
+    return rooms;
+  }
+
+  async saveMatch(match) {
+    this.open()
+      .prepare(
+        "INSERT INTO matches (id, room_code, started_at, match) VALUES (?, ?, ?, ?)"
+      )
+      .run(match.id, match.roomCode, match.startedAt, JSON.stringify(match));
+  }
+
+  async listMatches(roomCode, limit) {
+    return this.open()
+      .prepare(
+        `SELECT match FROM matches WHERE room_code = ?
+         ORDER BY started_at DESC, id DESC LIMIT ?`
+      )
+      .all(roomCode, limit)
+      .map((row) => JSON.parse(row.match));
+  }
+
+  async getMatch(roomCode, matchId) {
+    const row = this.open()
+      .prepare("SELECT match FROM matches WHERE room_code = ? AND id = ?")
+      .get(roomCode, matchId);
+    return row ? JSON.parse(row.match) : null;
+  }
+
+  async saveProfile(profile) {
+    this.open()
+      .prepare(
+        `INSERT INTO profiles (id, profile) VALUES (?, ?)
+         ON CONFLICT (id) DO UPDATE SET profile = excluded.profile`
+      )
+      .run(profile.id, JSON.stringify(profile));
+  }
+
+  async loadProfiles() {
+    return this.open()
+      .prepare("SELECT profile FROM profiles")
+      .all()
+      .map((row) => JSON.parse(row.profile));
+  }
+}
+
+module.exports = SqliteRoomStore;
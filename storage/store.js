@@ -0,0 +1,47 @@
+// Base class for room stores. A store keeps one snapshot per room code (see
+// GameRoom#toSnapshot in server.js) and hands them all back on boot. It
+// also keeps the room's finished matches (see history/index.js) and player
+// profiles (see profiles/index.js).
+class RoomStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async save(roomCode, snapshot) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  async remove(roomCode) {
+    throw new Error(`${this.constructor.name} does not implement remove`);
+  }
+
+  // Resolves to [{ roomCode, snapshot }] for every room that was saved
+  async loadAll() {
+    throw new Error(`${this.constructor.name} does not implement loadAll`);
+  }
+
+  async saveMatch(match) {
+    throw new Error(`${this.constructor.name} does not implement saveMatch`);
+  }
+
+  // Resolves to the room's most recent matches, newest first
+  async listMatches(roomCode, limit) {
+    throw new Error(`${this.constructor.name} does not implement listMatches`);
+  }
+
+  // Resolves to the match, or null if the room has no such match
+  async getMatch(roomCode, matchId) {
+    throw new Error(`${this.constructor.name} does not implement getMatch`);
+  }
+
+  async saveProfile(profile) {
+    throw new Error(`${this.constructor.name} does not implement saveProfile`);
+  }
+
+  // Resolves to every saved profile
+  async loadProfiles() {
+    throw new Error(`${this.constructor.name} does not implement loadProfiles`);
+  }
+}
+
+module.exports = RoomStore;
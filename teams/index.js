@@ -0,0 +1,74 @@
+// Team ids, in the order teams are listed and take turns picking. A room
+// with teamCount n plays with the first n.
+const TEAM_IDS = ["red", "blue", "yellow", "green"];
+
+// How a team's cards add up to its value for a round:
+//   sum  - every member's card counts
+//   best - only the team's strongest card counts
+const TEAM_SCORING = ["sum", "best"];
+
+const teamIdsFor = (teamCount) => TEAM_IDS.slice(0, teamCount);
+
+// Each team's value for the round from its members' values, as
+// { [teamId]: value }. Rounded like type-effectiveness values, so float
+// noise can't split what should be a tie.
+function aggregateTeamValues(values, teamOf, scoring) {
+  const teamValues = {};
+  for (const [playerId, value] of Object.entries(values)) {
+    const team = teamOf(playerId);
+    if (!team) continue;
+    if (!(team in teamValues)) {
+      teamValues[team] = value;
+    } else if (scoring === "best") {
+      teamValues[team] = Math.max(teamValues[team], value);
+    } else {
+      teamValues[team] = Math.round((teamValues[team] + value) * 100) / 100;
+    }
+  }
+  return teamValues;
+}
+
+// The teams with the highest value; more than one means a tie
+function topTeams(teamValues) {
+  const best = Math.max(...Object.values(teamValues));
+  return Object.keys(teamValues).filter((team) => teamValues[team] === best);
+}
+
+// Player ids ordered so the teams take turns: the first member of each
+// team, then the second of each, and so on. rosters is one list of ids per
+// team, in team order.
+function interleaveTeams(rosters) {
+  const order = [];
+  const longest = Math.max(0, ...rosters.map((roster) => roster.length));
+  for (let i = 0; i < longest; i++) {
+    for (const roster of rosters) {
+      if (roster[i]) order.push(roster[i]);
+    }
+  }
+  return order;
+}
+
+// Why the rosters can't start a game yet, or null if they can. Every team
+// needs players and the same number of them, so sums are a fair fight.
+function rosterProblem(rosters, unassignedCount) {
+  if (unassignedCount > 0) {
+    return "Every player needs a team before the game can start.";
+  }
+  if (rosters.some((roster) => roster.length === 0)) {
+    return "Every team needs at least one player.";
+  }
+  if (new Set(rosters.map((roster) => roster.length)).size > 1) {
+    return "Every team needs the same number of players.";
+  }
+  return null;
+}
+
+module.exports = {
+  TEAM_IDS,
+  TEAM_SCORING,
+  aggregateTeamValues,
+  interleaveTeams,
+  rosterProblem,
+  teamIdsFor,
+  topTeams,
+};
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SeededRng } = require("../cards/rng");
+const { Deck } = require("../cards");
+
+const POOL = Array.from({ length: 50 }, (_, i) => i + 1);
+
+// Stands in for a card provider: the card is just what was asked for
+const fetchCard = async ({ id, shiny }) => ({ id, shiny });
+
+const newDeck = (fetch = fetchCard, seed = "seed", shinyChance = 0) =>
+  new Deck(new SeededRng(seed), POOL, shinyChance, fetch);
+
+test("the same seed deals the same cards, however they're batched", async () => {
+  const all = await newDeck().deal(6);
+  const batched = newDeck();
+  const firstThree = await batched.deal(3);
+  const nextThree = await batched.deal(3);
+  assert.deepEqual([...firstThree, ...nextThree], all);
+  assert.notDeepEqual(await newDeck(fetchCard, "other").deal(6), all);
+});
+
+test("shiny chance takes a second draw per card", async () => {
+  const deck = newDeck(fetchCard, "seed", 100);
+  const cards = await deck.deal(3);
+  assert.ok(cards.every((card) => card.shiny));
+  assert.equal(deck.dealtDraws, 6);
+});
+
+test("a failed fetch deals nothing and the same cards come up next time", async () => {
+  let failNext = true;
+  const flaky = async (card) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error("provider down");
+    }
+    return fetchCard(card);
+  };
+  const deck = newDeck(flaky);
+  await assert.rejects(deck.deal(3), /provider down/);
+  assert.equal(deck.rng.draws, 0);
+  assert.equal(deck.dealtDraws, 0);
+  assert.deepEqual(await deck.deal(3), await newDeck().deal(3));
+});
+
+test("prefetched cards are dealt in order and dealtDraws only counts dealt ones", async () => {
+  const reference = await newDeck().deal(5);
+  const deck = newDeck();
+  deck.prefetch(3);
+  await deck.prefetching;
+  assert.equal(deck.buffer.length, 3);
+  assert.equal(deck.dealtDraws, 0);
+
+  assert.deepEqual(await deck.deal(2), reference.slice(0, 2));
+  assert.equal(deck.dealtDraws, 2);
+  assert.deepEqual(await deck.deal(3), reference.slice(2, 5));
+  assert.equal(deck.buffer.length, 0);
+});
+
+test("a failed prefetch leaves deal() to fetch the cards itself", async () => {
+  let calls = 0;
+  const failsFirst = async (card) => {
+    calls += 1;
+    if (calls === 1) throw new Error("provider down");
+    return fetchCard(card);
+  };
+  const deck = newDeck(failsFirst);
+  deck.prefetch(2);
+  assert.deepEqual(await deck.deal(2), await newDeck().deal(2));
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { K_FACTOR, placementsFor, ratingChanges } = require("../profiles/elo");
+
+test("winners place in the order they won, the rest by score", () => {
+  const placements = placementsFor(
+    ["b", "a"],
+    [
+      { id: "a", score: 3 },
+      { id: "b", score: 3 },
+      { id: "c", score: 1 },
+      { id: "d", score: 1 },
+      { id: "e", score: 2 },
+    ],
+  );
+  assert.deepEqual(placements, { b: 1, a: 2, e: 3, c: 4, d: 4 });
+});
+
+test("players who forfeited share last place whatever their score", () => {
+  const placements = placementsFor(
+    ["a"],
+    [
+      { id: "a", score: 3 },
+      { id: "b", score: 0 },
+      { id: "c", score: 2, forfeited: true },
+      { id: "d", score: 1, forfeited: true },
+    ],
+  );
+  assert.deepEqual(placements, { a: 1, b: 2, c: 3, d: 3 });
+});
+
+test("a winning team shares first place", () => {
+  const placements = placementsFor(
+    ["a", "b"],
+    [
+      { id: "a", score: 3, team: "red" },
+      { id: "b", score: 3, team: "red" },
+      { id: "c", score: 1, team: "blue" },
+      { id: "d", score: 1, team: "blue" },
+    ],
+  );
+  assert.deepEqual(placements, { a: 1, b: 1, c: 3, d: 3 });
+});
+
+test("an even two-player game moves each rating by half of K", () => {
+  const changes = ratingChanges([
+    { id: "a", rating: 1000, placement: 1 },
+    { id: "b", rating: 1000, placement: 2 },
+  ]);
+  assert.deepEqual(changes, { a: K_FACTOR / 2, b: -K_FACTOR / 2 });
+});
+
+test("a draw between equals changes nothing", () => {
+  const changes = ratingChanges([
+    { id: "a", rating: 1200, placement: 1 },
+    { id: "b", rating: 1200, placement: 1 },
+  ]);
+  assert.deepEqual(changes, { a: 0, b: 0 });
+});
+
+test("teammates are never rated against each other", () => {
+  const changes = ratingChanges([
+    { id: "a", rating: 1400, placement: 1, team: "red" },
+    { id: "b", rating: 1000, placement: 1, team: "red" },
+    { id: "c", rating: 1000, placement: 3, team: "blue" },
+  ]);
+  // a and b only faced c, so a draw between them can't drag a down
+  assert.ok(changes.a > 0);
+  assert.ok(changes.b > changes.a);
+  assert.equal(
+    ratingChanges([
+      { id: "a", rating: 1400, placement: 1, team: "red" },
+      { id: "b", rating: 1000, placement: 1, team: "red" },
+    ]).a,
+    0,
+  );
+});
+
+test("a lone player's rating doesn't move", () => {
+  assert.deepEqual(ratingChanges([{ id: "a", rating: 1000, placement: 1 }]), {
+    a: 0,
+  });
+});
@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PHASES, GAME_PHASES, canTransition } = require("../phases");
+
+test("a game runs lobby to ended through every round phase", () => {
+  const path = [
+    "lobby",
+    "dealing",
+    "picking",
+    "reveal",
+    "intermission",
+    "dealing",
+    "picking",
+    "reveal",
+    "ended",
+    "lobby",
+  ];
+  for (let i = 1; i < path.length; i++) {
+    assert.ok(
+      canTransition(path[i - 1], path[i]),
+      `${path[i - 1]} -> ${path[i]}`,
+    );
+  }
+});
+
+test("a failed deal can go back to where it started", () => {
+  assert.ok(canTransition("dealing", "lobby"));
+  assert.ok(canTransition("dealing", "intermission"));
+  assert.ok(canTransition("ready-check", "lobby"));
+});
+
+test("rounds can't be skipped or started mid-game", () => {
+  assert.equal(canTransition("lobby", "picking"), false);
+  assert.equal(canTransition("picking", "ended"), false);
+  assert.equal(canTransition("ended", "dealing"), false);
+  assert.equal(canTransition("intermission", "picking"), false);
+});
+
+test("every phase has somewhere to go and game phases are all phases", () => {
+  for (const phase of PHASES) {
+    assert.ok(
+      PHASES.some((next) => canTransition(phase, next)),
+      phase,
+    );
+  }
+  assert.ok(GAME_PHASES.every((phase) => PHASES.includes(phase)));
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const dataset = require("../cards/data/pokemon.json");
+const {
+  GENERATION_COUNT,
+  buildCardPool,
+  minPoolSize,
+} = require("../cards/pool");
+
+const recordsFor = (ids) => {
+  const byId = new Map(dataset.map((record) => [record.id, record]));
+  return ids.map((id) => byId.get(id));
+};
+
+test("with no filters the pool is the whole dataset, in id order", () => {
+  const pool = buildCardPool({});
+  assert.equal(pool.length, dataset.length);
+  assert.deepEqual(
+    pool,
+    [...pool].sort((a, b) => a - b),
+  );
+});
+
+test("generation bounds are inclusive", () => {
+  const records = recordsFor(
+    buildCardPool({ minGeneration: 2, maxGeneration: 3 }),
+  );
+  assert.ok(records.length > 0);
+  assert.ok(
+    records.every((record) => record.generation >= 2 && record.generation <= 3),
+  );
+  assert.ok(records.some((record) => record.generation === 2));
+  assert.ok(records.some((record) => record.generation === 3));
+  assert.equal(
+    buildCardPool({ minGeneration: GENERATION_COUNT + 1 }).length,
+    0,
+  );
+});
+
+test("types keeps Pokémon with any one of the listed types", () => {
+  const records = recordsFor(buildCardPool({ types: ["fire", "ghost"] }));
+  assert.ok(
+    records.every((record) =>
+      record.types.some((type) => type === "fire" || type === "ghost"),
+    ),
+  );
+});
+
+test("legendaries and mythicals can be left out", () => {
+  const records = recordsFor(
+    buildCardPool({ includeLegendary: false, includeMythical: false }),
+  );
+  assert.ok(
+    records.every((record) => !record.isLegendary && !record.isMythical),
+  );
+  assert.ok(records.length < dataset.length);
+});
+
+test("draft mode needs a whole hand per player", () => {
+  assert.equal(minPoolSize({ mode: "classic", handSize: 5 }, 4), 4);
+  assert.equal(minPoolSize({ mode: "draft", handSize: 5 }, 4), 20);
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { SeededRng, createSeed, hashSeed } = require("../cards/rng");
+
+const drawAll = (rng, count, max) =>
+  Array.from({ length: count }, () => rng.nextInt(max));
+
+test("the same seed always draws the same numbers", () => {
+  assert.deepEqual(
+    drawAll(new SeededRng("seed"), 20, 1025),
+    drawAll(new SeededRng("seed"), 20, 1025),
+  );
+  assert.notDeepEqual(
+    drawAll(new SeededRng("seed"), 20, 1025),
+    drawAll(new SeededRng("other"), 20, 1025),
+  );
+});
+
+test("a generator restored at a draw count carries on where it left off", () => {
+  const rng = new SeededRng("seed");
+  drawAll(rng, 5, 100);
+  const rest = drawAll(rng, 5, 100);
+  assert.deepEqual(drawAll(new SeededRng("seed", 5), 5, 100), rest);
+});
+
+test("draws match the documented SHA-256 derivation", () => {
+  const digest = crypto.createHash("sha256").update("seed:0").digest();
+  assert.equal(
+    new SeededRng("seed").nextInt(151),
+    digest.readUInt32BE(0) % 151,
+  );
+});
+
+test("the published hash commits to the seed", () => {
+  const seed = createSeed();
+  assert.match(seed, /^[0-9a-f]{32}$/);
+  assert.equal(hashSeed(seed), hashSeed(seed));
+  assert.notEqual(hashSeed(seed), hashSeed(createSeed()));
+});
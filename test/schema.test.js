@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  string,
+  integer,
+  boolean,
+  oneOf,
+  optional,
+  arrayOf,
+  object,
+} = require("../validation/schema");
+const { EVENT_RULES } = require("../validation/events");
+const { ERROR_CODES } = require("../validation/errors");
+
+// Runs schema and returns the SocketError it throws
+const rejection = (schema, value, path = "field") => {
+  try {
+    schema(value, path);
+  } catch (err) {
+    return err;
+  }
+  assert.fail(`${JSON.stringify(value)} was accepted`);
+};
+
+test("string applies its transform before checking length and pattern", () => {
+  const code = string({
+    min: 1,
+    max: 4,
+    pattern: /^[A-Z]+$/,
+    transform: (value) => value.trim().toUpperCase(),
+  });
+  assert.equal(code(" abc ", "code"), "ABC");
+  assert.equal(rejection(code, "abcde").code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(rejection(code, "a1").message, "field is not valid");
+  assert.equal(rejection(code, 12).message, "field must be a string");
+});
+
+test("integer and boolean refuse values of the wrong type", () => {
+  const count = integer({ min: 1, max: 3 });
+  assert.equal(count(2, "count"), 2);
+  assert.equal(rejection(count, 1.5).message, "field must be an integer");
+  assert.equal(rejection(count, 4).message, "field must be between 1 and 3");
+  assert.equal(boolean()(false, "flag"), false);
+  assert.equal(
+    rejection(boolean(), "true").message,
+    "field must be true or false",
+  );
+});
+
+test("oneOf accepts a function for lists that change at runtime", () => {
+  const allowed = ["a"];
+  const schema = oneOf(() => allowed);
+  assert.equal(rejection(schema, "b").message, "field must be one of: a");
+  allowed.push("b");
+  assert.equal(schema("b", "field"), "b");
+});
+
+test("optional falls back for missing values only", () => {
+  const schema = optional(integer(), 5);
+  assert.equal(schema(undefined, "n"), 5);
+  assert.equal(schema(null, "n"), 5);
+  assert.equal(schema(0, "n"), 0);
+});
+
+test("arrayOf checks each entry, its length and duplicates", () => {
+  const schema = arrayOf(integer(), { max: 3, unique: true });
+  assert.deepEqual(schema([1, 2], "list"), [1, 2]);
+  assert.equal(rejection(schema, [1, "x"], "list").details.field, "list[1]");
+  assert.equal(
+    rejection(schema, [1, 1]).message,
+    "field must not contain duplicates",
+  );
+  assert.equal(
+    rejection(schema, [1, 2, 3, 4]).message,
+    "field must have between 0 and 3 entries",
+  );
+});
+
+test("object keeps only the keys it declares and names nested paths", () => {
+  const schema = object({
+    name: string(),
+    inner: optional(object({ n: integer() })),
+  });
+  assert.deepEqual(schema({ name: "x", extra: true }, ""), { name: "x" });
+  assert.equal(
+    rejection(schema, { name: "x", inner: { n: "1" } }, "").details.field,
+    "inner.n",
+  );
+  assert.equal(rejection(schema, [], "").message, "payload must be an object");
+});
+
+test("every event rule declares a schema and a known role", () => {
+  const roles = [null, "visitor", "watcher", "member", "creator", "picker"];
+  for (const [event, rule] of Object.entries(EVENT_RULES)) {
+    assert.equal(typeof rule.schema, "function", event);
+    assert.ok(roles.includes(rule.role), `${event} has role ${rule.role}`);
+  }
+});
+
+test("room codes are trimmed and upper-cased", () => {
+  const { roomCode } = EVENT_RULES.leaveRoom.schema({ roomCode: " ab12 " }, "");
+  assert.equal(roomCode, "AB12");
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SESSION_TOKEN_TTL_MS,
+  PROFILE_TOKEN_TTL_MS,
+  createSessionToken,
+  verifySessionToken,
+  createProfileToken,
+  verifyProfileToken,
+} = require("../auth/sessions");
+
+test("a session token gives back the seat it was issued for", () => {
+  const token = createSessionToken({ roomCode: "ABC123", playerId: "p1" });
+  assert.deepEqual(verifySessionToken(token), {
+    roomCode: "ABC123",
+    playerId: "p1",
+  });
+});
+
+test("tampered and malformed tokens are refused", () => {
+  const token = createSessionToken({ roomCode: "ABC123", playerId: "p1" });
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ roomCode: "ABC123", playerId: "p2", exp: Infinity }),
+  ).toString("base64url");
+  assert.equal(verifySessionToken(`${forged}.${signature}`), null);
+  assert.equal(verifySessionToken(payload), null);
+  assert.equal(verifySessionToken(undefined), null);
+});
+
+test("tokens stop working once they expire", () => {
+  const session = createSessionToken({ roomCode: "ABC123", playerId: "p1" });
+  const now = Date.now();
+  assert.notEqual(
+    verifySessionToken(session, now + SESSION_TOKEN_TTL_MS - 1000),
+    null,
+  );
+  assert.equal(
+    verifySessionToken(session, now + SESSION_TOKEN_TTL_MS + 1000),
+    null,
+  );
+
+  const profile = createProfileToken("profile-1");
+  assert.equal(verifyProfileToken(profile), "profile-1");
+  assert.equal(
+    verifyProfileToken(profile, now + PROFILE_TOKEN_TTL_MS + 1000),
+    null,
+  );
+});
+
+test("a session token can't stand in for a profile token", () => {
+  const session = createSessionToken({ roomCode: "ABC123", playerId: "p1" });
+  assert.equal(verifyProfileToken(session), null);
+});
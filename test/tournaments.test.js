@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Tournament } = require("../tournaments");
+
+// Registers players p1..pN, rated so that p1 is the top seed
+function tournamentOf(format, count, options = {}) {
+  const tournament = new Tournament({ format, matchSettings: {}, ...options });
+  for (let i = 1; i <= count; i++) {
+    tournament.register(`p${i}`, `Player ${i}`, { rating: 2000 - i });
+  }
+  return tournament;
+}
+
+const pairings = (round) => round.map((match) => match.playerIds);
+
+// Plays every ready match, the first listed player winning
+function playReadyMatches(tournament, pickWinner = (ids) => ids[0]) {
+  for (const match of tournament.getReadyMatches()) {
+    tournament.recordResult(match.id, pickWinner(match.playerIds));
+  }
+}
+
+test("seeds follow rating, with unrated players last", () => {
+  const tournament = new Tournament({ format: "swiss", matchSettings: {} });
+  tournament.register("low", "Low", { rating: 900 });
+  tournament.register("guest", "Guest");
+  tournament.register("high", "High", { rating: 1500 });
+  tournament.start();
+  const seedOf = (id) => tournament.players.get(id).seed;
+  assert.deepEqual([seedOf("high"), seedOf("low"), seedOf("guest")], [1, 2, 3]);
+});
+
+test("a knockout keeps the top two seeds apart until the final", () => {
+  const tournament = tournamentOf("single-elimination", 8);
+  tournament.start();
+  assert.deepEqual(pairings(tournament.rounds[0]), [
+    ["p1", "p8"],
+    ["p4", "p5"],
+    ["p2", "p7"],
+    ["p3", "p6"],
+  ]);
+  assert.equal(tournament.rounds.length, 3);
+});
+
+test("byes go to the top seeds and count as wins straight away", () => {
+  const tournament = tournamentOf("single-elimination", 5);
+  tournament.start();
+  const byes = tournament.rounds[0].filter((match) => match.isBye);
+  assert.equal(byes.length, 3);
+  assert.deepEqual(byes.map((match) => match.winnerId).sort(), [
+    "p1",
+    "p2",
+    "p3",
+  ]);
+  // p2 and p3 both got byes, so their second-round match can go ahead too
+  assert.deepEqual(pairings(tournament.getReadyMatches()), [
+    ["p4", "p5"],
+    ["p2", "p3"],
+  ]);
+  // p1's bye already put them through to round two
+  assert.ok(
+    tournament.rounds[1].some((match) => match.playerIds.includes("p1")),
+  );
+});
+
+test("winners move through the bracket until one is left", () => {
+  const tournament = tournamentOf("single-elimination", 4);
+  tournament.start();
+  playReadyMatches(tournament, (ids) => ids[1]);
+  assert.deepEqual(pairings(tournament.rounds[1]), [["p4", "p3"]]);
+  assert.ok(tournament.players.get("p1").eliminated);
+  playReadyMatches(tournament);
+  assert.equal(tournament.status, "finished");
+  assert.equal(tournament.winnerId, "p4");
+});
+
+test("swiss pairs players on the same wins and avoids rematches", () => {
+  const tournament = tournamentOf("swiss", 4);
+  tournament.start();
+  assert.equal(tournament.swissRounds, 2);
+  assert.deepEqual(pairings(tournament.rounds[0]), [
+    ["p1", "p2"],
+    ["p3", "p4"],
+  ]);
+  playReadyMatches(tournament);
+  // p1 and p3 are both on one win, p2 and p4 on none
+  assert.deepEqual(pairings(tournament.rounds[1]), [
+    ["p1", "p3"],
+    ["p2", "p4"],
+  ]);
+  playReadyMatches(tournament);
+  assert.equal(tournament.status, "finished");
+  assert.equal(tournament.winnerId, "p1");
+});
+
+test("swiss gives each bye to the lowest player yet to have one", () => {
+  const tournament = tournamentOf("swiss", 3, { swissRounds: 3 });
+  tournament.start();
+  const byeIn = (round) =>
+    tournament.rounds[round].find((match) => match.isBye).playerIds[0];
+  assert.equal(byeIn(0), "p3");
+  playReadyMatches(tournament);
+  playReadyMatches(tournament);
+  const byes = [0, 1, 2].map(byeIn);
+  assert.equal(new Set(byes).size, 3);
+});
+
+test("swiss standings break ties on opponents' wins, then seed", () => {
+  const tournament = tournamentOf("swiss", 4, { swissRounds: 1 });
+  tournament.start();
+  playReadyMatches(tournament, (ids) => ids[1]);
+  const standings = tournament.getStandings();
+  assert.deepEqual(
+    standings.map(({ id, points }) => [id, points]),
+    [
+      ["p2", 1],
+      ["p4", 1],
+      ["p1", 0],
+      ["p3", 0],
+    ],
+  );
+});
@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TYPE_CHART,
+  matchupMultiplier,
+  typeEffectiveness,
+} = require("../cards/typeChart");
+
+test("matchups missing from the chart are neutral", () => {
+  assert.equal(typeEffectiveness("normal", ["fire"]), 1);
+  assert.equal(typeEffectiveness("unknown", ["fire"]), 1);
+});
+
+test("a dual-typed defender stacks both multipliers", () => {
+  assert.equal(typeEffectiveness("ice", ["dragon", "flying"]), 4);
+  assert.equal(typeEffectiveness("fire", ["water", "rock"]), 0.25);
+  assert.equal(typeEffectiveness("electric", ["water", "ground"]), 0);
+});
+
+test("a dual-typed attacker uses its better type", () => {
+  assert.equal(matchupMultiplier(["normal", "fighting"], ["rock"]), 2);
+  assert.equal(matchupMultiplier(["ghost"], ["normal"]), 0);
+});
+
+test("the chart only lists types it knows about", () => {
+  const types = Object.keys(TYPE_CHART);
+  assert.equal(types.length, 18);
+  for (const matchups of Object.values(TYPE_CHART)) {
+    for (const defending of Object.keys(matchups)) {
+      assert.ok(types.includes(defending), defending);
+    }
+  }
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { RoomVote, eligibleVoters } = require("../votes");
+
+const newVote = (kind, targetId = "target") =>
+  new RoomVote({ id: 1, kind, targetId, startedBy: "starter", expiresAt: 0 });
+
+test("the starter's vote counts as a yes", () => {
+  const vote = newVote("skipPicker");
+  const tally = vote.tally(["starter", "a", "b", "target"], 60);
+  assert.deepEqual(tally, { yes: 1, no: 0, needed: 2, eligible: 3 });
+});
+
+test("the player a vote is about has no say, except a Gym Leader facing takeLead", () => {
+  assert.equal(newVote("kick").canVote("target"), false);
+  assert.equal(newVote("skipPicker").canVote("target"), false);
+  assert.equal(newVote("takeLead").canVote("target"), true);
+  assert.deepEqual(eligibleVoters("kick", "target", ["starter", "target"]), [
+    "starter",
+  ]);
+  assert.deepEqual(
+    eligibleVoters("takeLead", "target", ["starter", "target"]),
+    ["starter", "target"],
+  );
+});
+
+test("a kick never passes on the starter's vote alone", () => {
+  const vote = newVote("kick");
+  const tally = vote.tally(["starter", "a", "target"], 50);
+  assert.equal(tally.needed, 2);
+  assert.equal(vote.getOutcome(tally), null);
+  vote.cast("a", true);
+  assert.equal(
+    vote.getOutcome(vote.tally(["starter", "a", "target"], 50)),
+    "passed",
+  );
+  const skip = newVote("skipPicker");
+  assert.equal(
+    skip.getOutcome(skip.tally(["starter", "a", "target"], 50)),
+    "passed",
+  );
+});
+
+test("with two players, takeLead passes once the AFK Gym Leader has no say", () => {
+  const vote = newVote("takeLead");
+  // The server leaves a Gym Leader who's gone AFK out of the voters
+  assert.equal(vote.getOutcome(vote.tally(["starter"], 60)), "passed");
+  // Back again, their no is enough to keep the lead
+  const tally = vote.tally(["starter", "target"], 60);
+  assert.equal(tally.needed, 2);
+  vote.cast("target", false);
+  assert.equal(
+    vote.getOutcome(vote.tally(["starter", "target"], 60)),
+    "failed",
+  );
+});
+
+test("the threshold is a percentage of eligible voters, rounded up", () => {
+  const voters = ["starter", "a", "b", "c", "d", "target"];
+  assert.equal(newVote("kick").tally(voters, 60).needed, 3);
+  assert.equal(newVote("kick").tally(voters, 100).needed, 5);
+  assert.equal(newVote("takeLead").tally(voters, 60).needed, 4);
+});
+
+test("a vote fails once too many have said no for it to pass", () => {
+  const vote = newVote("kick");
+  const voters = ["starter", "a", "b", "target"];
+  vote.cast("a", false);
+  assert.equal(vote.getOutcome(vote.tally(voters, 60)), null);
+  vote.cast("b", false);
+  assert.equal(vote.getOutcome(vote.tally(voters, 60)), "failed");
+});
+
+test("voters can change their minds, and ballots from players who've gone don't count", () => {
+  const vote = newVote("kick");
+  vote.cast("a", false);
+  vote.cast("a", true);
+  assert.equal(vote.tally(["starter", "a", "target"], 60).yes, 2);
+  assert.equal(vote.tally(["starter", "target"], 60).yes, 1);
+});
@@ -0,0 +1,330 @@
+// How a tournament's matches are drawn up:
+//   single-elimination - a seeded knockout bracket; losing a match ends a
+//                        player's run
+//   swiss              - a fixed number of rounds, each pairing players with
+//                        the same number of wins; most wins takes it
+const TOURNAMENT_FORMATS = ["single-elimination", "swiss"];
+
+const TOURNAMENT_MIN_PLAYERS = 2;
+const TOURNAMENT_MAX_PLAYERS = 64;
+
+// Bracket positions for a knockout of size players (a power of two), so the
+// top two seeds can only meet in the final: [1, 4, 2, 3] for four
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const pairTotal = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, pairTotal - seed]);
+  }
+  return order;
+}
+
+// Enough Swiss rounds for one player to be the only one left unbeaten
+const defaultSwissRounds = (playerCount) =>
+  Math.max(1, Math.ceil(Math.log2(playerCount)));
+
+// The bracket side of a tournament: who's registered, how they're seeded
+// and who plays whom. Each match is a two-player game played in a room of
+// its own; the server starts those and reports back with recordResult().
+class Tournament {
+  constructor({ format, matchSettings, swissRounds, maxPlayers }) {
+    this.format = format;
+    this.matchSettings = matchSettings; // for every match's GameRoom
+    this.swissRounds = swissRounds || null; // null picks by field size
+    this.maxPlayers = maxPlayers || TOURNAMENT_MAX_PLAYERS;
+    this.players = new Map();
+    this.organizer = null;
+    this.status = "registering"; // then "running", then "finished"
+    this.rounds = []; // one list of matches per round
+    this.winnerId = null;
+    this.matchCount = 0;
+    this.disconnectTimeouts = new Map(); // while registering: id -> timeout
+  }
+
+  // rating is the player's profile rating, if they have one; rated players
+  // are seeded ahead of unrated ones
+  register(playerId, name, { profileId = null, rating = null } = {}) {
+    this.players.set(playerId, {
+      name,
+      profileId,
+      rating,
+      socketId: null,
+      seed: null,
+      eliminated: false,
+      points: 0, // Swiss: matches won, byes included
+      hadBye: false,
+      opponents: [],
+    });
+    if (!this.organizer) this.organizer = playerId;
+  }
+
+  // Only while registering; once the bracket is drawn everyone stays in it
+  unregister(playerId) {
+    this.clearDisconnectTimeout(playerId);
+    this.players.delete(playerId);
+    if (this.organizer === playerId) {
+      this.organizer = this.players.keys().next().value ?? null;
+    }
+  }
+
+  // While registering, a player who disconnects keeps their place for
+  // graceMs, then onExpire drops them, the same as a seat in a room
+  markDisconnected(playerId, onExpire, graceMs) {
+    this.players.get(playerId).socketId = null;
+    this.clearDisconnectTimeout(playerId);
+    this.disconnectTimeouts.set(
+      playerId,
+      setTimeout(() => {
+        this.disconnectTimeouts.delete(playerId);
+        onExpire();
+      }, graceMs)
+    );
+  }
+
+  clearDisconnectTimeout(playerId) {
+    clearTimeout(this.disconnectTimeouts.get(playerId));
+    this.disconnectTimeouts.delete(playerId);
+  }
+
+  clearAllTimers() {
+    for (const playerId of Array.from(this.disconnectTimeouts.keys())) {
+      this.clearDisconnectTimeout(playerId);
+    }
+  }
+
+  isFull() {
+    return this.players.size >= this.maxPlayers;
+  }
+
+  isNameInUse(name) {
+    const lowered = name.toLowerCase();
+    return Array.from(this.players.values()).some(
+      (player) => player.name.toLowerCase() === lowered
+    );
+  }
+
+  // Seeds everyone and draws up the first round
+  start() {
+    const seeded = Array.from(this.players.keys()).sort(
+      (a, b) =>
+        (this.players.get(b).rating ?? 0) - (this.players.get(a).rating ?? 0)
+    );
+    seeded.forEach((playerId, i) => (this.players.get(playerId).seed = i + 1));
+    // Nobody is dropped from here on; missing a match forfeits it instead
+    this.clearAllTimers();
+    this.status = "running";
+    if (this.format === "swiss") {
+      this.swissRounds ??= defaultSwissRounds(seeded.length);
+      this.pairSwissRound();
+    } else {
+      this.drawBracket(seeded);
+    }
+  }
+
+  createMatch(round, playerIds) {
+    this.matchCount += 1;
+    return {
+      id: `m${this.matchCount}`,
+      round,
+      playerIds,
+      winnerId: null,
+      roomCode: null,
+      isBye: false,
+    };
+  }
+
+  // The whole knockout is drawn up front: later rounds start out empty and
+  // are filled in as winners come through. Top seeds get the byes, which
+  // count as wins straight away.
+  drawBracket(seeded) {
+    let size = 2;
+    while (size < seeded.length) size *= 2;
+    const positions = seedOrder(size).map((seed) => seeded[seed - 1] ?? null);
+
+    for (let round = 0; size > 1; round++, size /= 2) {
+      this.rounds.push(
+        Array.from({ length: size / 2 }, () =>
+          this.createMatch(round, [null, null])
+        )
+      );
+    }
+    this.rounds[0].forEach((match, i) => {
+      match.playerIds = [positions[i * 2], positions[i * 2 + 1]];
+      if (match.playerIds.includes(null)) {
+        match.isBye = true;
+        this.recordResult(match.id, match.playerIds.find(Boolean));
+      }
+    });
+  }
+
+  // Pairs players on the same number of wins, best first, avoiding rematches
+  // where it can. With an odd number the lowest player yet to have a bye
+  // sits this round out and is given the win.
+  pairSwissRound() {
+    const round = this.rounds.length;
+    const unpaired = this.getStandings().map(({ id }) => id);
+    const matches = [];
+
+    if (unpaired.length % 2 === 1) {
+      const byeIndex = unpaired.findLastIndex(
+        (id) => !this.players.get(id).hadBye
+      );
+      const [byeId] = unpaired.splice(byeIndex === -1 ? -1 : byeIndex, 1);
+      const bye = this.createMatch(round, [byeId, null]);
+      bye.isBye = true;
+      this.players.get(byeId).hadBye = true;
+      matches.push(bye);
+    }
+    while (unpaired.length > 0) {
+      const playerId = unpaired.shift();
+      const { opponents } = this.players.get(playerId);
+      const fresh = unpaired.findIndex((id) => !opponents.includes(id));
+      const [opponentId] = unpaired.splice(Math.max(fresh, 0), 1);
+      matches.push(this.createMatch(round, [playerId, opponentId]));
+    }
+
+    this.rounds.push(matches);
+    for (const match of matches) {
+      if (match.isBye) this.recordResult(match.id, match.playerIds[0]);
+    }
+  }
+
+  findMatch(matchId) {
+    return this.rounds.flat().find((match) => match.id === matchId);
+  }
+
+  // Matches with both players known that haven't been started yet
+  getReadyMatches() {
+    return this.rounds
+      .flat()
+      .filter(
+        (match) =>
+          !match.winnerId &&
+          !match.roomCode &&
+          match.playerIds.every((id) => id !== null)
+      );
+  }
+
+  // The match the player is playing right now, if any
+  getLiveMatch(playerId) {
+    return this.rounds
+      .flat()
+      .find(
+        (match) =>
+          match.roomCode &&
+          !match.winnerId &&
+          match.playerIds.includes(playerId)
+      );
+  }
+
+  markStarted(matchId, roomCode) {
+    this.findMatch(matchId).roomCode = roomCode;
+  }
+
+  // Moves the winner on: into their next knockout match, or up the Swiss
+  // standings. Draws up the next Swiss round once the current one is done,
+  // and finishes the tournament after the last match.
+  recordResult(matchId, winnerId) {
+    const match = this.findMatch(matchId);
+    match.winnerId = winnerId;
+    match.roomCode = null;
+    const [playerA, playerB] = match.playerIds;
+    if (playerA && playerB) {
+      this.players.get(playerA).opponents.push(playerB);
+      this.players.get(playerB).opponents.push(playerA);
+    }
+
+    if (this.format === "swiss") {
+      this.players.get(winnerId).points += 1;
+      const round = this.rounds[match.round];
+      if (round.every((roundMatch) => roundMatch.winnerId)) {
+        if (this.rounds.length < this.swissRounds) {
+          this.pairSwissRound();
+        } else {
+          this.finish(this.getStandings()[0].id);
+        }
+      }
+      return;
+    }
+
+    for (const playerId of match.playerIds) {
+      if (playerId && playerId !== winnerId) {
+        this.players.get(playerId).eliminated = true;
+      }
+    }
+    const nextRound = this.rounds[match.round + 1];
+    if (!nextRound) {
+      this.finish(winnerId);
+      return;
+    }
+    const index = this.rounds[match.round].indexOf(match);
+    nextRound[Math.floor(index / 2)].playerIds[index % 2] = winnerId;
+  }
+
+  finish(winnerId) {
+    this.winnerId = winnerId;
+    this.status = "finished";
+  }
+
+  // Most wins first. Ties go to whoever beat the stronger field (the total
+  // wins of everyone they've played), then to the higher seed.
+  getStandings() {
+    const strengthOf = (player) =>
+      player.opponents.reduce(
+        (sum, opponentId) => sum + (this.players.get(opponentId)?.points ?? 0),
+        0
+      );
+    return Array.from(this.players.entries())
+      .map(([id, player]) => ({
+        id,
+        name: player.name,
+        points: player.points,
+        opponentPoints: strengthOf(player),
+        seed: player.seed,
+      }))
+      .sort(
+        (a, b) =>
+          b.points - a.points ||
+          b.opponentPoints - a.opponentPoints ||
+          (a.seed ?? Infinity) - (b.seed ?? Infinity)
+      );
+  }
+
+  // What every registered player is sent whenever the bracket changes
+  toView() {
+    return {
+      format: this.format,
+      status: this.status,
+      organizer: this.organizer,
+      maxPlayers: this.maxPlayers,
+      swissRounds: this.swissRounds,
+      winnerId: this.winnerId,
+      players: Array.from(this.players.entries()).map(([id, player]) => ({
+        id,
+        name: player.name,
+        profileId: player.profileId,
+        seed: player.seed,
+        eliminated: player.eliminated,
+        points: player.points,
+        isConnected: player.socketId !== null,
+      })),
+      rounds: this.rounds.map((round) =>
+        round.map(({ id, playerIds, winnerId, roomCode, isBye }) => ({
+          id,
+          playerIds,
+          winnerId,
+          roomCode,
+          isBye,
+        }))
+      ),
+      standings: this.format === "swiss" ? this.getStandings() : null,
+    };
+  }
+}
+
+module.exports = {
+  Tournament,
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_MIN_PLAYERS,
+  TOURNAMENT_MAX_PLAYERS,
+};
@@ -0,0 +1,58 @@
+// Codes sent to clients in the "error" event payload, so they can react to a
+// rejected event without parsing the human-readable message.
+const ERROR_CODES = {
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  NOT_IN_ROOM: "NOT_IN_ROOM",
+  NOT_CREATOR: "NOT_CREATOR",
+  NOT_PICKER: "NOT_PICKER",
+  NAME_TAKEN: "NAME_TAKEN",
+  PLAYER_NOT_FOUND: "PLAYER_NOT_FOUND",
+  ROOM_FULL: "ROOM_FULL",
+  PLAYERS_NOT_BACK: "PLAYERS_NOT_BACK",
+  NO_ROUND_IN_PROGRESS: "NO_ROUND_IN_PROGRESS",
+  CARDS_NOT_COMMITTED: "CARDS_NOT_COMMITTED",
+  STAT_NOT_ALLOWED: "STAT_NOT_ALLOWED",
+  MATCH_NOT_FOUND: "MATCH_NOT_FOUND",
+  PROFILE_NOT_FOUND: "PROFILE_NOT_FOUND",
+  PROFILE_IN_USE: "PROFILE_IN_USE",
+  ROOM_LOCKED: "ROOM_LOCKED",
+  WRONG_PASSWORD: "WRONG_PASSWORD",
+  INVITE_INVALID: "INVITE_INVALID",
+  WRONG_PHASE: "WRONG_PHASE",
+  CHAT_MUTED: "CHAT_MUTED",
+  CHAT_RATE_LIMITED: "CHAT_RATE_LIMITED",
+  CHAT_BLOCKED: "CHAT_BLOCKED",
+  EMOTE_NOT_AVAILABLE: "EMOTE_NOT_AVAILABLE",
+  POOL_TOO_SMALL: "POOL_TOO_SMALL",
+  TEAMS_NOT_READY: "TEAMS_NOT_READY",
+  TOURNAMENT_NOT_FOUND: "TOURNAMENT_NOT_FOUND",
+  NOT_ENOUGH_PLAYERS: "NOT_ENOUGH_PLAYERS",
+  VOTE_IN_PROGRESS: "VOTE_IN_PROGRESS",
+  VOTE_NOT_FOUND: "VOTE_NOT_FOUND",
+  LEADER_ACTIVE: "LEADER_ACTIVE",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Thrown from validation or from a handler to reject an event. The event
+// guard turns it into an "error" event for the sender.
+class SocketError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = "SocketError";
+    this.code = code;
+    this.details = details;
+  }
+
+  toPayload(event) {
+    return {
+      event,
+      code: this.code,
+      message: this.message,
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+module.exports = { ERROR_CODES, SocketError };
@@ -0,0 +1,337 @@
+const { GENERATION_COUNT, POKEMON_TYPES, STAT_KEYS } = require("../cards");
+const { BOT_DIFFICULTIES } = require("../bots");
+const { LEADERBOARD_MAX_LIMIT } = require("../profiles");
+const { TEAM_IDS, TEAM_SCORING } = require("../teams");
+const {
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_MIN_PLAYERS,
+  TOURNAMENT_MAX_PLAYERS,
+} = require("../tournaments");
+const {
+  VOTE_KINDS,
+  VOTE_THRESHOLD_MIN,
+  VOTE_THRESHOLD_MAX,
+  VOTE_DURATION_MIN_SECONDS,
+  VOTE_DURATION_MAX_SECONDS,
+} = require("../votes");
+const {
+  CHAT_MESSAGE_MAX_LENGTH,
+  EMOTE_KEYS,
+  PROFANITY_FILTER_MODES,
+} = require("../chat");
+const {
+  string,
+  integer,
+  boolean,
+  oneOf,
+  optional,
+  arrayOf,
+  object,
+} = require("./schema");
+
+const PLAYER_NAME_MAX_LENGTH = 20;
+
+// Drop control characters and markup, collapse runs of whitespace
+const sanitizeName = (name) =>
+  name
+    .normalize("NFC")
+    .replace(/[\u0000-\u001f\u007f<>]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const roomCode = string({
+  min: 1,
+  max: 12,
+  pattern: /^[A-Z0-9]+$/,
+  transform: (code) => code.trim().toUpperCase(),
+});
+const playerName = string({
+  min: 1,
+  max: PLAYER_NAME_MAX_LENGTH,
+  transform: sanitizeName,
+});
+const playerId = string({ min: 1, max: 64 });
+const sessionToken = string({ max: 1024 });
+const profileToken = string({ max: 1024 });
+const password = string({ min: 1, max: 64 });
+const inviteToken = string({ min: 1, max: 64 });
+// Chat gets the same clean-up as names
+const chatText = string({
+  min: 1,
+  max: CHAT_MESSAGE_MAX_LENGTH,
+  transform: sanitizeName,
+});
+
+const settings = object({
+  roundsToWin: optional(integer({ min: 1, max: 10 })),
+  maxWinners: optional(integer({ min: 1, max: 3 })),
+  turnTimeLimit: optional(integer({ min: 0, max: 300 })),
+  autoPickStrategy: optional(oneOf(["random", "best"])),
+  mode: optional(oneOf(["classic", "draft"])),
+  handSize: optional(integer({ min: 2, max: 10 })),
+  typeEffectiveness: optional(boolean()),
+  allowedStats: optional(
+    arrayOf(oneOf(STAT_KEYS), { min: 1, max: STAT_KEYS.length, unique: true })
+  ),
+  // Public rooms show up in listRooms and can be filled by quickMatch
+  visibility: optional(oneOf(["private", "public"])),
+  maxPlayers: optional(integer({ min: 2, max: 16 })),
+  // Start the game by itself once this many players are in; 0 is off
+  autoStartPlayers: optional(integer({ min: 0, max: 16 })),
+  // 0 turns spectating off
+  maxSpectators: optional(integer({ min: 0, max: 50 })),
+  profanityFilter: optional(oneOf(PROFANITY_FILTER_MODES)),
+  // Card pool filters. An empty types list allows every type.
+  minGeneration: optional(integer({ min: 1, max: GENERATION_COUNT })),
+  maxGeneration: optional(integer({ min: 1, max: GENERATION_COUNT })),
+  types: optional(
+    arrayOf(oneOf(POKEMON_TYPES), { max: POKEMON_TYPES.length, unique: true })
+  ),
+  includeLegendary: optional(boolean()),
+  includeMythical: optional(boolean()),
+  // Percent chance each card dealt is shiny
+  shinyChance: optional(integer({ min: 0, max: 100 })),
+  // 0 plays free-for-all
+  teamCount: optional(oneOf([0, 2, 3, 4])),
+  teamScoring: optional(oneOf(TEAM_SCORING)),
+  // A fixed seed for reproducible deals; an empty string clears it
+  seed: optional(string({ max: 64 })),
+  // Have every player confirm they're ready before the game starts
+  readyCheck: optional(boolean()),
+  // Percentage of voters who must say yes for a vote to pass
+  voteThreshold: optional(
+    integer({ min: VOTE_THRESHOLD_MIN, max: VOTE_THRESHOLD_MAX })
+  ),
+  // Seconds a vote stays open
+  voteDuration: optional(
+    integer({ min: VOTE_DURATION_MIN_SECONDS, max: VOTE_DURATION_MAX_SECONDS })
+  ),
+});
+
+// Between games, before one starts and while players come back from one
+const BETWEEN_GAMES = ["lobby", "ready-check", "ended"];
+
+// Every client event the server listens to, with the payload it accepts and
+// who may send it:
+//   null    - anyone; no room involved
+//   visitor - anyone, but the room must exist
+//   watcher - a player or spectator in the room
+//   member  - a player seated in the room
+//   creator - the room's Gym Leader
+//   picker  - the player picking this round's stat
+// Room events can also list the phases (see phases/index.js) they're allowed
+// in; without a list they're allowed in any phase.
+const EVENT_RULES = {
+  createRoom: {
+    role: null,
+    schema: object({
+      playerName,
+      settings: optional(settings, {}),
+      profileToken: optional(profileToken),
+      password: optional(password),
+    }),
+  },
+  joinRoom: {
+    role: "visitor",
+    schema: object({
+      roomCode,
+      playerName: optional(playerName),
+      sessionToken: optional(sessionToken),
+      profileToken: optional(profileToken),
+      password: optional(password),
+      inviteToken: optional(inviteToken),
+      // Watch the game instead of playing in it
+      spectate: optional(boolean(), false),
+    }),
+  },
+  updateSettings: {
+    role: "creator",
+    phases: ["lobby", "ended"],
+    schema: object({ roomCode, settings }),
+    phaseMessage: "Settings can only be changed between games.",
+  },
+  nextRound: {
+    role: "picker",
+    phases: ["intermission"],
+    schema: object({ roomCode }),
+    deniedMessage: "Only the current picker can start the next round",
+    phaseMessage: "There is no round to move on from right now.",
+  },
+  transferCreator: {
+    role: "creator",
+    schema: object({ roomCode, newCreatorId: playerId }),
+  },
+  startGame: {
+    role: "creator",
+    phases: ["lobby", "ended"],
+    schema: object({ roomCode }),
+    deniedMessage: "Only the Gym Leader can start the game.",
+    phaseMessage: "A game is already starting or under way.",
+  },
+  selectStat: {
+    role: "picker",
+    phases: ["picking"],
+    schema: object({ roomCode, stat: oneOf(STAT_KEYS) }),
+    phaseMessage: "There is no round waiting for a stat right now.",
+  },
+  commitCard: {
+    role: "member",
+    phases: ["picking"],
+    schema: object({ roomCode, cardIndex: integer({ min: 0, max: 9 }) }),
+    phaseMessage: "You have no card to commit right now.",
+  },
+  rematch: {
+    role: "creator",
+    phases: ["lobby", "ended"],
+    schema: object({ roomCode }),
+    deniedMessage: "Only the Gym Leader can start a rematch.",
+    phaseMessage: "A game is already starting or under way.",
+  },
+  setReady: {
+    role: "member",
+    phases: ["ready-check"],
+    schema: object({ roomCode, ready: optional(boolean(), true) }),
+    phaseMessage: "There is no ready check going on.",
+  },
+  cancelReadyCheck: {
+    role: "creator",
+    phases: ["ready-check"],
+    schema: object({ roomCode }),
+    phaseMessage: "There is no ready check going on.",
+  },
+  leaveRoom: {
+    role: "watcher",
+    schema: object({ roomCode }),
+  },
+  playerBackToRoom: {
+    role: "member",
+    phases: ["lobby", "ended"],
+    schema: object({ roomCode }),
+  },
+  addBot: {
+    role: "creator",
+    phases: BETWEEN_GAMES,
+    schema: object({
+      roomCode,
+      difficulty: optional(oneOf(BOT_DIFFICULTIES), "normal"),
+    }),
+    phaseMessage: "Bots can only be added between games.",
+  },
+  kickPlayer: {
+    role: "creator",
+    schema: object({ roomCode, playerId }),
+  },
+  // targetId is only needed to kick; the others are about the picker or the
+  // Gym Leader
+  startVote: {
+    role: "member",
+    schema: object({
+      roomCode,
+      kind: oneOf(VOTE_KINDS),
+      targetId: optional(playerId),
+    }),
+  },
+  castVote: {
+    role: "member",
+    schema: object({
+      roomCode,
+      voteId: integer({ min: 1 }),
+      inFavor: optional(boolean(), true),
+    }),
+  },
+  promoteSpectator: {
+    role: "creator",
+    phases: BETWEEN_GAMES,
+    schema: object({ roomCode, spectatorId: playerId }),
+    phaseMessage: "Spectators can only be promoted between games.",
+  },
+  mutePlayer: {
+    role: "creator",
+    schema: object({ roomCode, playerId, muted: optional(boolean(), true) }),
+  },
+  assignTeam: {
+    role: "creator",
+    phases: ["lobby", "ended"],
+    schema: object({ roomCode, playerId, team: optional(oneOf(TEAM_IDS)) }),
+    phaseMessage: "Teams can only be changed between games.",
+  },
+  sendChat: {
+    role: "watcher",
+    schema: object({ roomCode, text: chatText }),
+  },
+  sendEmote: {
+    role: "watcher",
+    schema: object({ roomCode, emote: oneOf(EMOTE_KEYS) }),
+  },
+  // Leaving the password out removes it
+  setRoomPassword: {
+    role: "creator",
+    schema: object({ roomCode, password: optional(password) }),
+  },
+  lockRoom: {
+    role: "creator",
+    schema: object({ roomCode, locked: boolean() }),
+  },
+  createInvite: {
+    role: "creator",
+    schema: object({
+      roomCode,
+      singleUse: optional(boolean(), true),
+      expiresInMinutes: optional(integer({ min: 1, max: 1440 }), 60),
+    }),
+  },
+  createProfile: {
+    role: null,
+    schema: object({ name: playerName }),
+  },
+  listRooms: {
+    role: null,
+    schema: object({}),
+  },
+  quickMatch: {
+    role: null,
+    schema: object({ playerName, profileToken: optional(profileToken) }),
+  },
+  // Tournaments aren't rooms, so their handlers look the tournament up and
+  // check who's asking themselves
+  createTournament: {
+    role: null,
+    schema: object({
+      playerName,
+      format: oneOf(TOURNAMENT_FORMATS),
+      // For every match's room
+      settings: optional(settings, {}),
+      // Swiss only; left out, it depends on how many players there are
+      swissRounds: optional(integer({ min: 1, max: 10 })),
+      maxPlayers: optional(
+        integer({ min: TOURNAMENT_MIN_PLAYERS, max: TOURNAMENT_MAX_PLAYERS })
+      ),
+      profileToken: optional(profileToken),
+    }),
+  },
+  joinTournament: {
+    role: null,
+    schema: object({
+      tournamentCode: roomCode,
+      playerName: optional(playerName),
+      sessionToken: optional(sessionToken),
+      profileToken: optional(profileToken),
+    }),
+  },
+  leaveTournament: {
+    role: null,
+    schema: object({ tournamentCode: roomCode }),
+  },
+  startTournament: {
+    role: null,
+    schema: object({ tournamentCode: roomCode }),
+  },
+  getLeaderboard: {
+    role: null,
+    schema: object({
+      limit: optional(integer({ min: 1, max: LEADERBOARD_MAX_LIMIT }), 10),
+    }),
+  },
+};
+
+module.exports = { EVENT_RULES, PLAYER_NAME_MAX_LENGTH, sanitizeName };
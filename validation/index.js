@@ -0,0 +1,81 @@
+const { ERROR_CODES, SocketError } = require("./errors");
+const { EVENT_RULES } = require("./events");
+
+const ROLE_ERRORS = {
+  creator: [ERROR_CODES.NOT_CREATOR, "Only the Gym Leader can do that."],
+  picker: [ERROR_CODES.NOT_PICKER, "Only the current picker can do that."],
+};
+
+function authorize(rule, gameRoom, playerId) {
+  if (rule.role === "visitor") return;
+  if (rule.role === "watcher" && gameRoom.spectators.has(playerId)) return;
+
+  if (!gameRoom.players.has(playerId)) {
+    throw new SocketError(ERROR_CODES.NOT_IN_ROOM, "You are not in this room.");
+  }
+
+  const allowed =
+    rule.role === "member" ||
+    rule.role === "watcher" ||
+    (rule.role === "creator" && playerId === gameRoom.creator) ||
+    (rule.role === "picker" && playerId === gameRoom.currentPicker);
+  if (!allowed) {
+    const [code, message] = ROLE_ERRORS[rule.role];
+    throw new SocketError(code, rule.deniedMessage || message);
+  }
+}
+
+function checkPhase(rule, gameRoom) {
+  if (!rule.phases || rule.phases.includes(gameRoom.phase)) return;
+  throw new SocketError(
+    ERROR_CODES.WRONG_PHASE,
+    rule.phaseMessage || "That can't be done right now.",
+    { phase: gameRoom.phase }
+  );
+}
+
+// Returns on(socket, event, handler), which registers handler behind the
+// event's declared schema, role and phases. The handler receives the cleaned
+// payload and { gameRoom, playerId } for room events. Anything it throws is
+// reported back to the sender as an "error" event. onHandled(socket,
+// payload), if given, runs after each handler that succeeds.
+function createEventGuard({ getRoom, getPlayerId, onHandled }) {
+  return (socket, event, handler) => {
+    const rule = EVENT_RULES[event];
+    if (!rule) throw new Error(`No validation rule declared for "${event}"`);
+
+    socket.on(event, async (payload) => {
+      try {
+        const data = rule.schema(payload ?? {}, "");
+        const context = {};
+        if (rule.role) {
+          context.gameRoom = getRoom(data.roomCode);
+          if (!context.gameRoom) {
+            throw new SocketError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+          }
+          context.playerId = getPlayerId(socket, data.roomCode);
+          authorize(rule, context.gameRoom, context.playerId);
+          checkPhase(rule, context.gameRoom);
+        }
+        await handler(data, context);
+        if (onHandled) onHandled(socket, data);
+      } catch (err) {
+        if (!(err instanceof SocketError)) {
+          console.error(`Error handling "${event}":`, err);
+          err = new SocketError(
+            ERROR_CODES.INTERNAL_ERROR,
+            "Something went wrong. Please try again."
+          );
+        }
+        socket.emit("error", err.toPayload(event));
+      }
+    });
+  };
+}
+
+module.exports = {
+  createEventGuard,
+  ERROR_CODES,
+  SocketError,
+  EVENT_RULES,
+};
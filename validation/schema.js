@@ -0,0 +1,93 @@
+const { ERROR_CODES, SocketError } = require("./errors");
+
+// A schema is a function (value, path) => cleanValue that throws a
+// SocketError when the value doesn't fit. Objects only keep the keys their
+// schema declares, so unexpected fields never reach a handler.
+
+const invalid = (path, message) =>
+  new SocketError(ERROR_CODES.INVALID_PAYLOAD, `${path} ${message}`, {
+    field: path,
+  });
+
+const string =
+  ({ min = 0, max = Infinity, pattern = null, transform = null } = {}) =>
+  (value, path) => {
+    if (typeof value !== "string") throw invalid(path, "must be a string");
+    const result = transform ? transform(value) : value;
+    if (result.length < min) {
+      throw invalid(path, `must be at least ${min} characters`);
+    }
+    if (result.length > max) {
+      throw invalid(path, `must be at most ${max} characters`);
+    }
+    if (pattern && !pattern.test(result)) throw invalid(path, "is not valid");
+    return result;
+  };
+
+const integer =
+  ({ min = -Infinity, max = Infinity } = {}) =>
+  (value, path) => {
+    if (!Number.isInteger(value)) throw invalid(path, "must be an integer");
+    if (value < min || value > max) {
+      throw invalid(path, `must be between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+const boolean = () => (value, path) => {
+  if (typeof value !== "boolean") throw invalid(path, "must be true or false");
+  return value;
+};
+
+// values may be an array or a function returning one, for lists that can
+// change at runtime
+const oneOf = (values) => (value, path) => {
+  const allowed = typeof values === "function" ? values() : values;
+  if (!allowed.includes(value)) {
+    throw invalid(path, `must be one of: ${allowed.join(", ")}`);
+  }
+  return value;
+};
+
+const optional =
+  (schema, fallback = undefined) =>
+  (value, path) =>
+    value === undefined || value === null ? fallback : schema(value, path);
+
+const arrayOf =
+  (schema, { min = 0, max = Infinity, unique = false } = {}) =>
+  (value, path) => {
+    if (!Array.isArray(value)) throw invalid(path, "must be a list");
+    if (value.length < min || value.length > max) {
+      throw invalid(path, `must have between ${min} and ${max} entries`);
+    }
+    const result = value.map((item, index) =>
+      schema(item, `${path}[${index}]`)
+    );
+    if (unique && new Set(result).size !== result.length) {
+      throw invalid(path, "must not contain duplicates");
+    }
+    return result;
+  };
+
+const object = (shape) => (value, path) => {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw invalid(path || "payload", "must be an object");
+  }
+  const result = {};
+  for (const [key, schema] of Object.entries(shape)) {
+    const cleaned = schema(value[key], path ? `${path}.${key}` : key);
+    if (cleaned !== undefined) result[key] = cleaned;
+  }
+  return result;
+};
+
+module.exports = {
+  string,
+  integer,
+  boolean,
+  oneOf,
+  optional,
+  arrayOf,
+  object,
+};
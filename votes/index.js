@@ -0,0 +1,96 @@
+// What players can vote on, and who each vote is about:
+//   kick       - remove targetId from the room
+//   skipPicker - pass the pick on from targetId, the idle picker
+//   takeLead   - make whoever started the vote Gym Leader in place of
+//                targetId, the current one, once they've gone AFK
+const VOTE_KINDS = ["kick", "skipPicker", "takeLead"];
+
+// The player a vote is about gets no say in it, except a Gym Leader facing a
+// takeLead, whose no counts like anyone else's
+const targetCanVote = (kind) => kind === "takeLead";
+
+// A kick needs at least one yes besides the starter's, however few voters
+// there are. takeLead doesn't: it only opens once the Gym Leader is AFK, and
+// in a room of two there's nobody else to second it.
+const needsSeconding = (kind) => kind === "kick";
+
+// Which of voterIds get a say in a vote of this kind about targetId
+const eligibleVoters = (kind, targetId, voterIds) =>
+  voterIds.filter((id) => id !== targetId || targetCanVote(kind));
+
+// Room settings bounds: the percentage of voters who have to say yes, and
+// how long a vote stays open
+const VOTE_THRESHOLD_MIN = 50;
+const VOTE_THRESHOLD_MAX = 100;
+const VOTE_DURATION_MIN_SECONDS = 10;
+const VOTE_DURATION_MAX_SECONDS = 300;
+
+// A vote under way in a room. Who's allowed to vote changes as players come
+// and go, so the tally is worked out against the current voters every time
+// rather than fixed when the vote starts.
+class RoomVote {
+  constructor({ id, kind, targetId, startedBy, expiresAt }) {
+    this.id = id;
+    this.kind = kind;
+    this.targetId = targetId;
+    this.startedBy = startedBy;
+    this.expiresAt = expiresAt;
+    this.ballots = new Map(); // voter id -> true for yes, false for no
+    this.timeoutId = null; // ends the vote at expiresAt
+    this.cast(startedBy, true);
+  }
+
+  // Voters can change their minds until the vote ends
+  cast(voterId, inFavor) {
+    this.ballots.set(voterId, inFavor);
+  }
+
+  canVote(voterId) {
+    return voterId !== this.targetId || targetCanVote(this.kind);
+  }
+
+  // voterIds is everyone who could vote right now; threshold is a percentage
+  tally(voterIds, threshold) {
+    const eligible = eligibleVoters(this.kind, this.targetId, voterIds);
+    let yes = 0;
+    let no = 0;
+    for (const id of eligible) {
+      if (this.ballots.get(id) === true) yes += 1;
+      if (this.ballots.get(id) === false) no += 1;
+    }
+    const needed = Math.max(
+      needsSeconding(this.kind) ? 2 : 1,
+      Math.ceil((eligible.length * threshold) / 100)
+    );
+    return { yes, no, needed, eligible: eligible.length };
+  }
+
+  // "passed" once enough have said yes, "failed" once too many have said no
+  // for it ever to pass, otherwise null while it's still open
+  getOutcome({ yes, no, needed, eligible }) {
+    if (yes >= needed) return "passed";
+    if (eligible - no < needed) return "failed";
+    return null;
+  }
+
+  toView(tally) {
+    return {
+      id: this.id,
+      kind: this.kind,
+      targetId: this.targetId,
+      startedBy: this.startedBy,
+      expiresAt: this.expiresAt,
+      ...tally,
+    };
+  }
+}
+
+module.exports = {
+  RoomVote,
+  eligibleVoters,
+  VOTE_KINDS,
+  VOTE_THRESHOLD_MIN,
+  VOTE_THRESHOLD_MAX,
+  VOTE_DURATION_MIN_SECONDS,
+  VOTE_DURATION_MAX_SECONDS,
+};